@@ -0,0 +1,76 @@
+// Checks submitted answers against a question's canonical answer.
+// Accepts any numerically equivalent form: " 12", "12.0", "+12", "24/2",
+// "1 1/2", "1,000" and "x = 5" for equations.
+class AnswerEvaluator {
+  constructor(options = {}) {
+    // Slack for floating point noise when no per-question tolerance is set
+    this.defaultTolerance = options.defaultTolerance || 1e-9;
+  }
+
+  // Parse user input into a number, or NaN if it isn't numeric
+  parseNumber(input) {
+    if (typeof input === 'number') return input;
+    if (typeof input !== 'string') return NaN;
+
+    let text = input.trim()
+      .replace(/^[a-z]\s*=\s*/i, '') // "x = 5"
+      .replace(/−/g, '-'); // Unicode minus sign
+
+    // Thousands separators ("1,000")
+    if (/^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+      text = text.replace(/,/g, '');
+    }
+
+    // Mixed numbers ("1 1/2")
+    const mixed = text.match(/^([+-])?(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+    if (mixed) {
+      const denominator = Number(mixed[4]);
+      if (denominator === 0) return NaN;
+      const value = Number(mixed[2]) + Number(mixed[3]) / denominator;
+      return mixed[1] === '-' ? -value : value;
+    }
+
+    // Fractions ("3/4", "-24/2")
+    const fraction = text.match(/^([+-]?\d+(?:\.\d+)?)\s*\/\s*([+-]?\d+(?:\.\d+)?)$/);
+    if (fraction) {
+      const denominator = Number(fraction[2]);
+      if (denominator === 0) return NaN;
+      return Number(fraction[1]) / denominator;
+    }
+
+    // Integers and decimals ("+12", "12.0", ".5")
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+      return Number(text);
+    }
+
+    return NaN;
+  }
+
+  // Compare a submission against the question's answer and accepted forms
+  evaluate(input, question) {
+    const submitted = input === undefined || input === null ? '' : String(input).trim();
+    const tolerance = question.tolerance !== undefined ? question.tolerance : this.defaultTolerance;
+    const accepted = [question.answer, ...(question.acceptedAnswers || [])];
+    const value = this.parseNumber(submitted);
+
+    for (const candidate of accepted) {
+      // Exact text match covers non-numeric answers
+      if (submitted.toLowerCase() === String(candidate).trim().toLowerCase()) {
+        return { correct: true, value, canonicalAnswer: question.answer };
+      }
+
+      const expected = this.parseNumber(String(candidate));
+      if (!isNaN(value) && !isNaN(expected) && Math.abs(value - expected) <= tolerance + this.defaultTolerance) {
+        return { correct: true, value, canonicalAnswer: question.answer };
+      }
+    }
+
+    return { correct: false, value, canonicalAnswer: question.answer };
+  }
+
+  isCorrect(input, question) {
+    return this.evaluate(input, question).correct;
+  }
+}
+
+module.exports = AnswerEvaluator;
@@ -0,0 +1,112 @@
+// Server-side checks against scripted or abusive answer submission
+class AntiCheat {
+  constructor(store, scoringSystem, options = {}) {
+    this.store = store;
+    this.scoringSystem = scoringSystem;
+    this.submissionLog = new Map(); // socketId -> { kind -> recent submission timestamps }
+
+    // Rate limiting
+    this.maxSubmissions = options.maxSubmissions || 5;
+    this.rateWindowMs = options.rateWindowMs || 5000;
+
+    // Correct answers faster than this fraction of the optimal time are suspicious
+    this.suspiciousSpeedRatio = options.suspiciousSpeedRatio || 0.06;
+    // Only strikes this recent count, so a fast player who trips the speed
+    // check now and then over many games isn't quarantined for it
+    this.strikeThreshold = options.strikeThreshold || 3;
+    this.strikeWindowMs = options.strikeWindowMs || 15 * 60 * 1000;
+  }
+
+  // Sliding-window rate limit per socket and kind of submission, so game and
+  // daily challenge answers don't use up each other's allowance. Going over
+  // the limit only rejects the submission - a burst of double-clicks isn't
+  // cheating, so strikes are left to the speed checks.
+  allowSubmission(socketId, kind = 'answer') {
+    const now = Date.now();
+    if (!this.submissionLog.has(socketId)) {
+      this.submissionLog.set(socketId, {});
+    }
+    const log = this.submissionLog.get(socketId);
+    const recent = (log[kind] || []).filter(timestamp => now - timestamp < this.rateWindowMs);
+    log[kind] = recent;
+
+    if (recent.length >= this.maxSubmissions) {
+      return false;
+    }
+
+    recent.push(now);
+    return true;
+  }
+
+  clearSocket(socketId) {
+    this.submissionLog.delete(socketId);
+  }
+
+  // Check a correct answer for inhuman speed
+  checkAnswer(playerId, question, isCorrect, responseTime) {
+    if (!isCorrect) return { suspicious: false };
+
+    const optimalTime = this.scoringSystem.getOptimalTime(question.complexity || 0.5);
+    const minimumTime = optimalTime * this.suspiciousSpeedRatio;
+
+    if (responseTime < minimumTime) {
+      this.flagPlayer(playerId, 'fastAnswer', {
+        question: question.question,
+        responseTime,
+        minimumTime
+      });
+      return { suspicious: true, reason: 'fastAnswer' };
+    }
+
+    return { suspicious: false };
+  }
+
+  // Record a strike - enough strikes within the window quarantines the player
+  flagPlayer(playerId, reason, details = {}) {
+    const now = Date.now();
+    const profile = this.store.getProfile(playerId) || {};
+    const flags = (profile.flags || []).concat({ reason, ...details, timestamp: now });
+    const strikes = this.countStrikes(flags, profile.releasedAt, now);
+    const quarantined = profile.quarantined || strikes >= this.strikeThreshold;
+
+    if (quarantined && !profile.quarantined) {
+      console.log(`Player ${playerId} quarantined after ${strikes} strikes (${reason})`);
+    }
+
+    this.store.touchProfile(playerId, {
+      flags: flags.slice(-20),
+      strikes,
+      quarantined
+    });
+
+    return quarantined;
+  }
+
+  // Flags raised within the window and since the player was last released
+  countStrikes(flags, releasedAt = 0, now = Date.now()) {
+    const since = Math.max(now - this.strikeWindowMs, releasedAt || 0);
+    return flags.filter(flag => flag.timestamp > since).length;
+  }
+
+  isQuarantined(playerId) {
+    const profile = this.store.getProfile(playerId);
+    return !!(profile && profile.quarantined);
+  }
+
+  // Clear a player after manual review
+  releasePlayer(playerId) {
+    this.store.touchProfile(playerId, { strikes: 0, quarantined: false, releasedAt: Date.now() });
+  }
+
+  getQuarantinedPlayers() {
+    return Array.from(this.store.profiles.values())
+      .filter(profile => profile.quarantined)
+      .map(profile => ({
+        playerId: profile.playerId,
+        strikes: profile.strikes,
+        flags: profile.flags
+      }));
+  }
+}
+
+module.exports = AntiCheat;
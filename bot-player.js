@@ -0,0 +1,126 @@
+// Named bot personalities. Accuracy is set per question type and reduced for
+// harder questions; response times are drawn from a normal distribution that
+// slows down with question complexity.
+const BOT_PROFILES = {
+  beginner: {
+    name: 'Beginner',
+    description: 'Still learning - slow and shaky beyond simple sums',
+    rating: 1100,
+    accuracy: {
+      arithmetic: 0.75, negative: 0.55, decimal: 0.5, multistep: 0.4,
+      percentage: 0.4, power: 0.45, fraction: 0.35, equation: 0.35
+    },
+    difficultyPenalty: { easy: 0, medium: 0.1, hard: 0.2 },
+    responseTime: { mean: 8, stdDev: 2.5, perComplexity: 10, min: 3 },
+    adaptationRate: 0.05
+  },
+  steady: {
+    name: 'Steady',
+    description: 'Reliable all-rounder that keeps pace with you',
+    rating: 1400,
+    accuracy: {
+      arithmetic: 0.85, negative: 0.75, decimal: 0.7, multistep: 0.65,
+      percentage: 0.65, power: 0.65, fraction: 0.6, equation: 0.6
+    },
+    difficultyPenalty: { easy: 0, medium: 0.05, hard: 0.15 },
+    responseTime: { mean: 5, stdDev: 1.5, perComplexity: 6, min: 2 },
+    adaptationRate: 0.1
+  },
+  speedster: {
+    name: 'Speedster',
+    description: 'Answers fast and sometimes pays for it',
+    rating: 1550,
+    accuracy: {
+      arithmetic: 0.8, negative: 0.7, decimal: 0.6, multistep: 0.55,
+      percentage: 0.6, power: 0.7, fraction: 0.5, equation: 0.55
+    },
+    difficultyPenalty: { easy: 0, medium: 0.1, hard: 0.2 },
+    responseTime: { mean: 2, stdDev: 0.6, perComplexity: 2, min: 1 },
+    adaptationRate: 0.05
+  },
+  grandmaster: {
+    name: 'Grandmaster',
+    description: 'Rarely wrong and never eases off',
+    rating: 2000,
+    accuracy: {
+      arithmetic: 0.98, negative: 0.96, decimal: 0.95, multistep: 0.93,
+      percentage: 0.94, power: 0.94, fraction: 0.92, equation: 0.93
+    },
+    difficultyPenalty: { easy: 0, medium: 0.02, hard: 0.05 },
+    responseTime: { mean: 2.5, stdDev: 0.8, perComplexity: 4, min: 1.2 },
+    adaptationRate: 0
+  }
+};
+
+const DEFAULT_PROFILE = 'steady';
+const MAX_ADJUSTMENT = 0.2; // How far adaptation can move accuracy either way
+
+class BotPlayer {
+  constructor(id, profileKey = DEFAULT_PROFILE, options = {}) {
+    this.id = id;
+    this.profileKey = BOT_PROFILES[profileKey] ? profileKey : DEFAULT_PROFILE;
+    this.profile = BOT_PROFILES[this.profileKey];
+    this.name = options.name || this.profile.name;
+    this.random = options.random || Math.random;
+    this.adjustment = 0; // Accuracy shift from adapting to opponents
+  }
+
+  static getProfiles() {
+    return Object.entries(BOT_PROFILES).map(([key, profile]) => ({
+      key,
+      name: profile.name,
+      description: profile.description,
+      rating: profile.rating
+    }));
+  }
+
+  static isValidProfile(profileKey) {
+    return Object.prototype.hasOwnProperty.call(BOT_PROFILES, profileKey);
+  }
+
+  // Profile with the rating closest to a player's
+  static profileForRating(rating) {
+    return Object.entries(BOT_PROFILES)
+      .sort(([, a], [, b]) => Math.abs(a.rating - rating) - Math.abs(b.rating - rating))[0][0];
+  }
+
+  get rating() {
+    return this.profile.rating;
+  }
+
+  getAccuracy(question) {
+    const base = this.profile.accuracy[question.type] || this.profile.accuracy.arithmetic;
+    const penalty = this.profile.difficultyPenalty[question.difficulty] || 0;
+    return Math.max(0.05, Math.min(0.99, base - penalty + this.adjustment));
+  }
+
+  getResponseTime(question) {
+    const { mean, stdDev, perComplexity, min } = this.profile.responseTime;
+    // Box-Muller transform for a normally distributed delay
+    const u1 = this.random() || Number.MIN_VALUE;
+    const u2 = this.random();
+    const normal = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    const time = mean + (question.complexity || 0.5) * perComplexity + normal * stdDev;
+    return Math.max(min, Number(time.toFixed(2)));
+  }
+
+  // Decide whether the bot gets this question right and how long it takes
+  playQuestion(question) {
+    return {
+      isCorrect: this.random() < this.getAccuracy(question),
+      responseTime: this.getResponseTime(question)
+    };
+  }
+
+  // Drift towards the opponent's accuracy at the profile's adaptation rate
+  adapt(opponentAccuracy, ownAccuracy) {
+    const gap = opponentAccuracy - ownAccuracy;
+    this.adjustment += gap * this.profile.adaptationRate;
+    this.adjustment = Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, this.adjustment));
+  }
+}
+
+BotPlayer.PROFILES = BOT_PROFILES;
+BotPlayer.DEFAULT_PROFILE = DEFAULT_PROFILE;
+
+module.exports = BotPlayer;
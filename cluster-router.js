@@ -0,0 +1,184 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+
+const FORWARD_EVENT = 'clusterForward';
+const RELEASE_EVENT = 'clusterRelease';
+
+// Disconnect reason the host sees when a player's own node takes them back
+const RELEASED = 'released';
+
+// A player connected to another node, as seen by the node hosting their room.
+// It looks enough like a Socket.IO socket for the game code: emit() sends to
+// the real socket wherever it is, and the player's events arrive through
+// dispatch().
+class RemotePlayerSocket extends EventEmitter {
+  constructor(io, socketId, identity) {
+    super();
+    this.io = io;
+    this.id = socketId;
+    this.connected = true;
+    this.connectedAt = Date.now();
+    this.handshake = { auth: {} };
+    this.data = { identity, remote: true };
+  }
+
+  emit(event, ...args) {
+    this.io.to(this.id).emit(event, ...args);
+    return true;
+  }
+
+  dispatch(event, ...args) {
+    return super.emit(event, ...args);
+  }
+
+  to(room) {
+    return this.io.to(room).except(this.id);
+  }
+
+  join(room) {
+    this.io.in(this.id).socketsJoin(room);
+  }
+
+  leave(room) {
+    this.io.in(this.id).socketsLeave(room);
+  }
+
+  disconnect(close = false) {
+    this.io.in(this.id).disconnectSockets(close);
+  }
+}
+
+// Rooms live on the node that created them. A player who joins a room hosted
+// elsewhere is handed over: their node forwards every event from the socket
+// to the host, which runs it against a RemotePlayerSocket. Needs a Socket.IO
+// adapter that spans the nodes (see SharedState.createAdapter).
+//
+// The player's own node takes them back when they start something new (any
+// of `localEvents`) or when the host lets them go with release(), e.g. once
+// their game there is over. onRelease(playerId, hostNode) runs on the node
+// that had handed them over.
+class ClusterRouter {
+  constructor(io, sharedState, options = {}) {
+    this.io = io;
+    this.sharedState = sharedState;
+    this.nodeId = options.nodeId || process.env.NODE_ID || `${os.hostname()}-${process.pid}`;
+    this.onRemoteConnection = options.onRemoteConnection || (() => {});
+    this.onRelease = options.onRelease || (() => {});
+    this.localEvents = new Set(options.localEvents || []);
+    this.remoteSockets = new Map(); // socketId -> RemotePlayerSocket hosted here
+    this.stats = { forwarded: 0, received: 0 };
+
+    io.on(FORWARD_EVENT, message => this.receive(message));
+    io.on(RELEASE_EVENT, message => this.receiveRelease(message));
+  }
+
+  // Node hosting a room, if it isn't this one. Join codes are case-insensitive.
+  async findRoomHost(roomId) {
+    const room = await this.sharedState.getRoom(roomId) ||
+      await this.sharedState.getRoom(roomId.toUpperCase());
+    return room && room.nodeId !== this.nodeId ? room.nodeId : null;
+  }
+
+  // From now on the socket's events are handled by `nodeId`
+  attach(socket, nodeId) {
+    socket.data.hostNode = nodeId;
+    if (socket.data.clusterForwarding) return;
+    socket.data.clusterForwarding = true;
+
+    // Socket.IO can't remove middleware, so this stays on the socket and only
+    // forwards while it's attached
+    socket.use(([event, ...args], next) => {
+      if (!socket.data.hostNode) return next();
+
+      if (this.localEvents.has(event)) {
+        const hostNode = socket.data.hostNode;
+        this.detach(socket);
+        this.onRelease(socket.data.identity.playerId, hostNode);
+        return next();
+      }
+      this.forward(socket, event, args);
+    });
+    socket.on('disconnect', reason => {
+      if (socket.data.hostNode) this.forward(socket, 'disconnect', [reason]);
+    });
+  }
+
+  // Handle the socket's events on this node again. The host drops its side
+  // of the connection, unless it's the one that let go.
+  detach(socket, options = {}) {
+    if (!socket.data.hostNode) return;
+
+    if (options.notifyHost !== false) {
+      this.forward(socket, 'disconnect', [RELEASED]);
+    }
+    socket.data.hostNode = null;
+  }
+
+  // On the host: send a player hosted here back to their own node
+  release(socket) {
+    if (this.remoteSockets.get(socket.id) !== socket) return;
+
+    this.io.serverSideEmit(RELEASE_EVENT, {
+      nodeId: this.nodeId,
+      socketId: socket.id,
+      playerId: socket.data.identity.playerId
+    });
+    this.remoteSockets.delete(socket.id);
+    socket.connected = false;
+    socket.dispatch('disconnect', RELEASED);
+  }
+
+  // The player may have disconnected from their node in the meantime, so
+  // their session is released even without a socket to detach
+  receiveRelease({ nodeId, socketId, playerId }) {
+    const socket = this.io.sockets.sockets.get(socketId);
+    if (socket && socket.data.hostNode === nodeId) {
+      this.detach(socket, { notifyHost: false });
+    }
+    this.onRelease(playerId, nodeId);
+  }
+
+  forward(socket, event, args) {
+    this.stats.forwarded++;
+    this.io.serverSideEmit(FORWARD_EVENT, {
+      nodeId: socket.data.hostNode,
+      socketId: socket.id,
+      identity: socket.data.identity,
+      event,
+      args
+    });
+  }
+
+  // Every node hears every forwarded event; only the host acts on it
+  receive({ nodeId, socketId, identity, event, args }) {
+    if (nodeId !== this.nodeId) return;
+    this.stats.received++;
+
+    let socket = this.remoteSockets.get(socketId);
+    if (!socket) {
+      if (event === 'disconnect') return;
+      socket = new RemotePlayerSocket(this.io, socketId, identity);
+      this.remoteSockets.set(socketId, socket);
+      this.onRemoteConnection(socket);
+    }
+
+    if (event === 'disconnect') {
+      socket.connected = false;
+      this.remoteSockets.delete(socketId);
+    }
+    socket.dispatch(event, ...args);
+  }
+
+  getStats() {
+    return {
+      nodeId: this.nodeId,
+      remotePlayers: this.remoteSockets.size,
+      ...this.stats
+    };
+  }
+}
+
+ClusterRouter.RemotePlayerSocket = RemotePlayerSocket;
+ClusterRouter.RELEASED = RELEASED;
+
+module.exports = ClusterRouter;
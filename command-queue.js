@@ -0,0 +1,88 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_MAX_PENDING = 1000;
+
+// Runs commands one at a time in arrival order. A command may be async; the
+// next one only starts once it has settled, so every command sees the state
+// the earlier ones left behind. A failing command rejects its own promise
+// and the queue carries on.
+class CommandQueue {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.maxPending = options.maxPending || DEFAULT_MAX_PENDING;
+    this.pending = [];
+    this.running = null;
+    this.closed = false;
+    this.context = new AsyncLocalStorage();
+    this.stats = { processed: 0, failed: 0, rejected: 0, maxDepth: 0 };
+  }
+
+  enqueue(name, fn) {
+    // A command that enqueues another on its own queue would wait on itself
+    // forever, so nested commands run inline. Timers a command sets up carry
+    // its context too, but by the time they fire it is no longer running.
+    const current = this.context.getStore();
+    if (current && current === this.running) {
+      return Promise.resolve().then(fn);
+    }
+
+    if (this.closed) {
+      this.stats.rejected++;
+      return Promise.reject(new Error(`Command queue ${this.name} is closed`));
+    }
+    if (this.pending.length >= this.maxPending) {
+      this.stats.rejected++;
+      return Promise.reject(new Error(`Command queue ${this.name} is full`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ name, fn, resolve, reject, queuedAt: Date.now() });
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.pending.length);
+      if (!this.running) {
+        this.runNext();
+      }
+    });
+  }
+
+  async runNext() {
+    while (this.pending.length > 0) {
+      const command = this.pending.shift();
+      this.running = command;
+      try {
+        const result = await this.context.run(command, () => command.fn());
+        this.stats.processed++;
+        command.resolve(result);
+      } catch (error) {
+        this.stats.failed++;
+        command.reject(error);
+      }
+    }
+    this.running = null;
+  }
+
+  // Resolves once everything queued so far has run
+  drain() {
+    if (!this.running && this.pending.length === 0) return Promise.resolve();
+    return this.enqueue('drain', () => {}).catch(() => {});
+  }
+
+  // Refuse new commands and drop the waiting ones; a running command finishes
+  close() {
+    this.closed = true;
+    for (const command of this.pending.splice(0)) {
+      this.stats.rejected++;
+      command.reject(new Error(`Command queue ${this.name} is closed`));
+    }
+  }
+
+  getStats() {
+    return {
+      pending: this.pending.length,
+      running: this.running ? this.running.name : null,
+      closed: this.closed,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = CommandQueue;
@@ -1,199 +1,58 @@
 const async = require('async');
 const _ = require('lodash');
+const path = require('path');
+const WorkerPool = require('./worker-pool');
+const LockManager = require('./lock-manager');
+
+const LONG_HELD_LOCK_MS = 30000;
 
 class ConcurrencyManager {
-  constructor() {
-    this.mutexes = new Map();
-    this.gameLocks = new Map();
+  constructor(options = {}) {
+    this.locks = new LockManager(options.locks);
     this.playerQueues = new Map();
-    this.threadPool = [];
-    this.maxThreads = 10;
-    this.activeThreads = 0;
     
-    // Initialize thread pool
-    this.initializeThreadPool();
+    // CPU-heavy work (model training, batch analytics) runs on worker threads
+    // so it never blocks the event loop that live games run on
+    this.workerPool = new WorkerPool(path.join(__dirname, 'worker-tasks.js'), options.workerPool);
   }
 
-  initializeThreadPool() {
-    for (let i = 0; i < this.maxThreads; i++) {
-      this.threadPool.push({
-        id: i,
-        busy: false,
-        currentTask: null
-      });
-    }
+  // Mutex for critical sections. Pass an owner to make the lock reentrant-
+  // aware and visible to deadlock detection; without one each call is its
+  // own anonymous owner.
+  async acquireMutex(resourceId, timeout = 5000, options = {}) {
+    return this.locks.acquire(resourceId, { ...options, mode: 'exclusive', timeout });
   }
 
-  // Mutex implementation for critical sections
-  async acquireMutex(resourceId, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error(`Mutex timeout for resource: ${resourceId}`));
-      }, timeout);
-
-      const tryAcquire = () => {
-        if (!this.mutexes.has(resourceId) || !this.mutexes.get(resourceId).locked) {
-          this.mutexes.set(resourceId, {
-            locked: true,
-            owner: null,
-            queue: []
-          });
-          clearTimeout(timeoutId);
-          resolve({
-            release: () => this.releaseMutex(resourceId)
-          });
-        } else {
-          // Add to queue
-          const mutex = this.mutexes.get(resourceId);
-          mutex.queue.push(tryAcquire);
-        }
-      };
-
-      tryAcquire();
+  // Game-specific locking for multiplayer synchronization. Room state changes
+  // take the write lock; readers that only need a consistent snapshot can
+  // share the read lock.
+  async acquireGameLock(gameId, playerId, timeout = 3000, options = {}) {
+    return this.locks.acquire(`game_${gameId}`, {
+      ...options,
+      owner: playerId,
+      mode: options.mode === 'read' ? 'shared' : 'exclusive',
+      timeout
     });
   }
 
-  releaseMutex(resourceId) {
-    const mutex = this.mutexes.get(resourceId);
-    if (mutex && mutex.locked) {
-      mutex.locked = false;
-      mutex.owner = null;
-      
-      // Process next in queue
-      if (mutex.queue.length > 0) {
-        const next = mutex.queue.shift();
-        setTimeout(next, 0); // Async execution
-      } else {
-        this.mutexes.delete(resourceId);
-      }
-    }
+  async acquireReadLock(resourceId, owner, timeout = 5000) {
+    return this.locks.acquire(resourceId, { owner, mode: 'shared', timeout });
   }
 
-  // Game-specific locking for multiplayer synchronization
-  async acquireGameLock(gameId, playerId, timeout = 3000) {
-    return new Promise((resolve, reject) => {
-      const lockKey = `game_${gameId}`;
-      const timeoutId = setTimeout(() => {
-        reject(new Error(`Game lock timeout for game: ${gameId}`));
-      }, timeout);
-
-      const tryAcquireGameLock = () => {
-        if (!this.gameLocks.has(lockKey) || !this.gameLocks.get(lockKey).locked) {
-          this.gameLocks.set(lockKey, {
-            locked: true,
-            owner: playerId,
-            timestamp: Date.now(),
-            queue: []
-          });
-          clearTimeout(timeoutId);
-          resolve({
-            release: () => this.releaseGameLock(lockKey, playerId)
-          });
-        } else {
-          const lock = this.gameLocks.get(lockKey);
-          // Check if lock is stale (older than 10 seconds)
-          if (Date.now() - lock.timestamp > 10000) {
-            this.gameLocks.delete(lockKey);
-            tryAcquireGameLock();
-          } else {
-            lock.queue.push(tryAcquireGameLock);
-          }
-        }
-      };
-
-      tryAcquireGameLock();
-    });
+  async acquireWriteLock(resourceId, owner, timeout = 5000) {
+    return this.locks.acquire(resourceId, { owner, mode: 'exclusive', timeout });
   }
 
-  releaseGameLock(lockKey, playerId) {
-    const lock = this.gameLocks.get(lockKey);
-    if (lock && lock.owner === playerId) {
-      lock.locked = false;
-      lock.owner = null;
-      
-      if (lock.queue.length > 0) {
-        const next = lock.queue.shift();
-        setTimeout(next, 0);
-      } else {
-        this.gameLocks.delete(lockKey);
-      }
-    }
-  }
-
-  // Thread pool for concurrent task processing
-  async executeInThread(task, priority = 'normal') {
-    return new Promise((resolve, reject) => {
-      const taskWrapper = {
-        id: Date.now() + Math.random(),
-        task,
-        priority,
-        resolve,
-        reject,
-        timestamp: Date.now()
-      };
-
-      // Find available thread
-      const availableThread = this.threadPool.find(thread => !thread.busy);
-      
-      if (availableThread) {
-        this.executeTask(availableThread, taskWrapper);
-      } else {
-        // Add to queue based on priority
-        this.addToQueue(taskWrapper);
-      }
-    });
-  }
-
-  addToQueue(taskWrapper) {
-    if (!this.playerQueues.has(taskWrapper.priority)) {
-      this.playerQueues.set(taskWrapper.priority, []);
-    }
-    
-    const queue = this.playerQueues.get(taskWrapper.priority);
-    queue.push(taskWrapper);
-    
-    // Sort by timestamp for FIFO within same priority
-    queue.sort((a, b) => a.timestamp - b.timestamp);
-  }
-
-  async executeTask(thread, taskWrapper) {
-    thread.busy = true;
-    thread.currentTask = taskWrapper;
-    this.activeThreads++;
-
-    try {
-      const result = await taskWrapper.task();
-      taskWrapper.resolve(result);
-    } catch (error) {
-      taskWrapper.reject(error);
-    } finally {
-      thread.busy = false;
-      thread.currentTask = null;
-      this.activeThreads--;
-      
-      // Process next task in queue
-      this.processNextTask();
-    }
-  }
-
-  processNextTask() {
-    const priorities = ['high', 'normal', 'low'];
-    
-    for (const priority of priorities) {
-      const queue = this.playerQueues.get(priority);
-      if (queue && queue.length > 0) {
-        const availableThread = this.threadPool.find(thread => !thread.busy);
-        if (availableThread) {
-          const task = queue.shift();
-          this.executeTask(availableThread, task);
-          break;
-        }
-      }
-    }
+  // Run a named task from worker-tasks.js on the worker pool. The payload is
+  // copied to the worker, so it must be plain data. Options: priority
+  // ('high', 'normal', 'low') and timeout in ms.
+  async executeInThread(type, payload, options = {}) {
+    return this.workerPool.run(type, payload, options);
   }
 
   // Player queue management for fair turn-based gameplay
-  async addPlayerToQueue(gameId, playerId) {
+  // Appends by default; position puts the player earlier in the queue
+  async addPlayerToQueue(gameId, playerId, position = -1) {
     const queueKey = `queue_${gameId}`;
     
     if (!this.playerQueues.has(queueKey)) {
@@ -203,7 +62,11 @@ class ConcurrencyManager {
     const queue = this.playerQueues.get(queueKey);
     
     if (!queue.includes(playerId)) {
-      queue.push(playerId);
+      if (position >= 0 && position < queue.length) {
+        queue.splice(position, 0, playerId);
+      } else {
+        queue.push(playerId);
+      }
     }
     
     return queue.indexOf(playerId);
@@ -220,6 +83,10 @@ class ConcurrencyManager {
     return null;
   }
 
+  getQueue(gameId) {
+    return (this.playerQueues.get(`queue_${gameId}`) || []).slice();
+  }
+
   removePlayerFromQueue(gameId, playerId) {
     const queueKey = `queue_${gameId}`;
     const queue = this.playerQueues.get(queueKey);
@@ -232,71 +99,16 @@ class ConcurrencyManager {
     }
   }
 
-  // Deadlock prevention and detection
+  // Cycles in the lock wait-for graph
   detectDeadlocks() {
-    const deadlocks = [];
-    const visited = new Set();
-    
-    for (const [resourceId, mutex] of this.mutexes) {
-      if (mutex.locked && !visited.has(resourceId)) {
-        const cycle = this.detectCycle(resourceId, visited);
-        if (cycle.length > 0) {
-          deadlocks.push(cycle);
-        }
-      }
-    }
-    
-    return deadlocks;
+    return this.locks.detectDeadlocks();
   }
 
-  detectCycle(resourceId, visited) {
-    const cycle = [];
-    const currentPath = new Set();
-    
-    const dfs = (current) => {
-      if (currentPath.has(current)) {
-        // Cycle detected
-        const cycleStart = Array.from(currentPath).indexOf(current);
-        return Array.from(currentPath).slice(cycleStart);
-      }
-      
-      if (visited.has(current)) {
-        return [];
-      }
-      
-      visited.add(current);
-      currentPath.add(current);
-      
-      const mutex = this.mutexes.get(current);
-      if (mutex && mutex.owner) {
-        const ownerResources = Array.from(this.mutexes.keys())
-          .filter(id => this.mutexes.get(id).owner === mutex.owner);
-        
-        for (const resource of ownerResources) {
-          const result = dfs(resource);
-          if (result.length > 0) {
-            return result;
-          }
-        }
-      }
-      
-      currentPath.delete(current);
-      return [];
-    };
-    
-    return dfs(resourceId);
-  }
-
-  // Cleanup stale locks and resources
+  // Cleanup stale resources. Long-held locks are only reported - breaking
+  // them would let two owners into the same critical section.
   cleanup() {
-    const now = Date.now();
-    
-    // Clean up stale game locks
-    for (const [lockKey, lock] of this.gameLocks) {
-      if (now - lock.timestamp > 30000) { // 30 seconds
-        this.gameLocks.delete(lockKey);
-        console.log(`Cleaned up stale game lock: ${lockKey}`);
-      }
+    for (const lock of this.locks.getLongHeldLocks(LONG_HELD_LOCK_MS)) {
+      console.warn(`Lock ${lock.resourceId} held by ${lock.holders.join(', ')} for ${Math.round(lock.heldFor / 1000)}s`);
     }
     
     // Clean up empty queues
@@ -309,23 +121,32 @@ class ConcurrencyManager {
 
   // Performance monitoring
   getStats() {
+    const workerPool = this.workerPool.getStats();
+    const locks = this.locks.getStats();
     return {
-      activeThreads: this.activeThreads,
-      maxThreads: this.maxThreads,
-      activeMutexes: this.mutexes.size,
-      activeGameLocks: this.gameLocks.size,
-      queuedTasks: Array.from(this.playerQueues.values())
-        .reduce((total, queue) => total + queue.length, 0),
-      threadUtilization: (this.activeThreads / this.maxThreads) * 100
+      activeThreads: workerPool.busy,
+      maxThreads: workerPool.size,
+      activeMutexes: locks.heldLocks,
+      activeGameLocks: Array.from(this.locks.locks.keys()).filter(id => id.startsWith('game_')).length,
+      deadlocks: locks.currentDeadlocks,
+      locks,
+      queuedTasks: workerPool.queued,
+      threadUtilization: (workerPool.busy / workerPool.size) * 100,
+      workerPool
     };
   }
 
   // Start cleanup interval
   startCleanupInterval() {
-    setInterval(() => {
+    this.cleanupInterval = setInterval(() => {
       this.cleanup();
     }, 10000); // Clean up every 10 seconds
   }
+
+  async close() {
+    clearInterval(this.cleanupInterval);
+    await this.workerPool.close();
+  }
 }
 
 module.exports = ConcurrencyManager;
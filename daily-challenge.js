@@ -0,0 +1,280 @@
+const cron = require('node-cron');
+const AnswerEvaluator = require('./answer-evaluator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_QUESTION_COUNT = 10;
+const DEFAULT_TIME_LIMIT = 30; // Seconds per question
+const ROLLOVER_SCHEDULE = '0 0 * * *'; // Midnight UTC
+
+// One fixed set of questions per calendar day (UTC), generated from a seed
+// derived from the date so every player gets the same challenge. Each player
+// gets one attempt per day; results feed a per-day leaderboard and streaks.
+class DailyChallenge {
+  constructor(store, mlGenerator, scoringSystem, options = {}) {
+    this.store = store;
+    this.mlGenerator = mlGenerator;
+    this.scoringSystem = scoringSystem;
+    this.answerEvaluator = options.answerEvaluator || new AnswerEvaluator();
+    this.questionCount = options.questionCount || DEFAULT_QUESTION_COUNT;
+    this.getQuestionTimeLimit = options.getQuestionTimeLimit || (() => DEFAULT_TIME_LIMIT);
+    this.onRollover = options.onRollover || (() => {});
+
+    this.challenges = new Map(); // date -> generated challenge
+    this.sessions = new Map(); // playerId -> { date, questionStartTime }
+    this.task = null;
+  }
+
+  // "YYYY-MM-DD" in UTC
+  static dateKey(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  static previousDateKey(dateKey) {
+    return DailyChallenge.dateKey(Date.parse(dateKey) - DAY_MS);
+  }
+
+  static seedFor(dateKey) {
+    return `daily-${dateKey}`;
+  }
+
+  getChallenge(dateKey = DailyChallenge.dateKey()) {
+    if (!this.challenges.has(dateKey)) {
+      const seed = DailyChallenge.seedFor(dateKey);
+      this.challenges.set(dateKey, {
+        date: dateKey,
+        seed,
+        questions: this.mlGenerator.generateSequence(seed, this.questionCount)
+      });
+    }
+    return this.challenges.get(dateKey);
+  }
+
+  getResult(playerId, dateKey = DailyChallenge.dateKey()) {
+    return this.store.getDailyResult(dateKey, playerId);
+  }
+
+  hasPlayed(playerId, dateKey = DailyChallenge.dateKey()) {
+    const result = this.getResult(playerId, dateKey);
+    return !!(result && result.status !== 'playing');
+  }
+
+  // Start today's challenge, or pick up an attempt that is still in progress
+  startAttempt(playerId, now = Date.now()) {
+    const dateKey = DailyChallenge.dateKey(now);
+    if (this.hasPlayed(playerId, dateKey)) {
+      throw new Error('You have already played today\'s challenge');
+    }
+
+    let result = this.getResult(playerId, dateKey);
+    if (!result) {
+      result = {
+        playerId,
+        date: dateKey,
+        status: 'playing',
+        score: 0,
+        correctAnswers: 0,
+        totalTime: 0,
+        startedAt: now,
+        completedAt: null,
+        answers: []
+      };
+      this.store.saveDailyResult(dateKey, playerId, result);
+    }
+
+    // Starting again mid-question doesn't restart the clock
+    const session = this.sessions.get(playerId);
+    if (!session || session.date !== dateKey) {
+      this.sessions.set(playerId, { date: dateKey, questionStartTime: now });
+    }
+    return this.getCurrentQuestion(playerId);
+  }
+
+  isPlaying(playerId) {
+    return this.sessions.has(playerId);
+  }
+
+  getCurrentQuestion(playerId) {
+    const session = this.sessions.get(playerId);
+    if (!session) return null;
+
+    const challenge = this.getChallenge(session.date);
+    const result = this.getResult(playerId, session.date);
+    const question = challenge.questions[result.answers.length];
+
+    return {
+      date: session.date,
+      question: question.question,
+      round: result.answers.length + 1,
+      totalRounds: challenge.questions.length,
+      difficulty: question.difficulty,
+      timeLimit: this.getQuestionTimeLimit(question),
+      totalScore: result.score
+    };
+  }
+
+  // Score an answer to the current question. Answers after the time limit
+  // count as timed out.
+  submitAnswer(playerId, answer, now = Date.now()) {
+    const session = this.sessions.get(playerId);
+    if (!session) {
+      throw new Error('No daily challenge in progress');
+    }
+
+    const challenge = this.getChallenge(session.date);
+    const result = this.getResult(playerId, session.date);
+    const question = challenge.questions[result.answers.length];
+
+    const responseTime = (now - session.questionStartTime) / 1000;
+    const timedOut = responseTime > this.getQuestionTimeLimit(question);
+    const isCorrect = !timedOut && this.answerEvaluator.isCorrect(answer, question);
+    const score = this.scoringSystem.calculateScore(
+      playerId,
+      question,
+      isCorrect,
+      responseTime,
+      `daily_${session.date}`
+    );
+
+    try {
+      this.mlGenerator.updatePlayerPerformance(playerId, question, isCorrect, responseTime);
+    } catch (mlError) {
+      console.error('ML update error:', mlError);
+    }
+
+    result.answers.push({
+      answer: answer === null || answer === undefined ? null : String(answer).substring(0, 50),
+      correct: isCorrect,
+      responseTime,
+      timedOut,
+      score
+    });
+    result.score += score;
+    result.totalTime += responseTime;
+    if (isCorrect) result.correctAnswers++;
+
+    const finished = result.answers.length >= challenge.questions.length;
+    if (finished) {
+      this.finish(result, 'finished', now);
+      this.sessions.delete(playerId);
+    } else {
+      session.questionStartTime = now;
+      this.store.saveDailyResult(session.date, playerId, result);
+    }
+
+    return {
+      question,
+      correct: isCorrect,
+      score,
+      totalScore: result.score,
+      correctAnswer: question.answer,
+      responseTime,
+      timedOut,
+      finished
+    };
+  }
+
+  finish(result, status, now = Date.now()) {
+    result.status = status;
+    result.completedAt = now;
+    this.store.saveDailyResult(result.date, result.playerId, result);
+    if (status === 'finished') {
+      this.updateStreak(result.playerId, result.date);
+    }
+  }
+
+  // Consecutive days with a daily challenge completed
+  updateStreak(playerId, dateKey) {
+    const profile = this.store.getProfile(playerId) || {};
+    const streak = profile.dailyStreak || { current: 0, best: 0, lastDate: null };
+    if (streak.lastDate === dateKey) return streak;
+
+    const current = streak.lastDate === DailyChallenge.previousDateKey(dateKey) ? streak.current + 1 : 1;
+    const updated = { current, best: Math.max(streak.best, current), lastDate: dateKey };
+    this.store.touchProfile(playerId, { dailyStreak: updated });
+    return updated;
+  }
+
+  // A streak is broken once a whole day passes without playing
+  getStreak(playerId, now = Date.now()) {
+    const profile = this.store.getProfile(playerId) || {};
+    const streak = profile.dailyStreak || { current: 0, best: 0, lastDate: null };
+    const today = DailyChallenge.dateKey(now);
+    const alive = streak.lastDate === today || streak.lastDate === DailyChallenge.previousDateKey(today);
+
+    return {
+      current: alive ? streak.current : 0,
+      best: streak.best,
+      lastDate: streak.lastDate,
+      playedToday: streak.lastDate === today
+    };
+  }
+
+  // Highest score first, faster total time breaks ties
+  getLeaderboard(dateKey = DailyChallenge.dateKey(), limit = 10) {
+    return this.store.getDailyResults(dateKey)
+      .filter(result => result.status !== 'playing')
+      .filter(result => !this.scoringSystem.isExcludedFromLeaderboard(result.playerId))
+      .sort((a, b) => (b.score - a.score) || (a.totalTime - b.totalTime))
+      .slice(0, limit)
+      .map((result, index) => ({
+        rank: index + 1,
+        playerId: result.playerId,
+        score: result.score,
+        correctAnswers: result.correctAnswers,
+        totalQuestions: this.questionCount,
+        totalTime: Number(result.totalTime.toFixed(2)),
+        status: result.status
+      }));
+  }
+
+  getRank(playerId, dateKey = DailyChallenge.dateKey()) {
+    const entry = this.getLeaderboard(dateKey, Infinity).find(result => result.playerId === playerId);
+    return entry ? entry.rank : null;
+  }
+
+  getSummary(dateKey = DailyChallenge.dateKey()) {
+    const results = this.store.getDailyResults(dateKey);
+    return {
+      date: dateKey,
+      questionCount: this.questionCount,
+      players: results.length,
+      completed: results.filter(result => result.status === 'finished').length
+    };
+  }
+
+  // New day: close out yesterday's abandoned attempts and generate today's set
+  rollover(now = Date.now()) {
+    const today = DailyChallenge.dateKey(now);
+    const yesterday = DailyChallenge.previousDateKey(today);
+
+    for (const result of this.store.getDailyResults(yesterday)) {
+      const session = this.sessions.get(result.playerId);
+      if (result.status === 'playing' && !(session && session.date === yesterday)) {
+        this.finish(result, 'abandoned', now);
+      }
+    }
+
+    for (const dateKey of this.challenges.keys()) {
+      if (dateKey !== today && dateKey !== yesterday) {
+        this.challenges.delete(dateKey);
+      }
+    }
+
+    this.getChallenge(today);
+    this.onRollover(this.getSummary(today));
+  }
+
+  start() {
+    if (this.task) return;
+    this.task = cron.schedule(ROLLOVER_SCHEDULE, () => this.rollover(), { timezone: 'UTC' });
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+}
+
+module.exports = DailyChallenge;
@@ -9,6 +9,7 @@
 const MLQuestionGenerator = require('./ml-question-generator');
 const ConcurrencyManager = require('./concurrency-manager');
 const ScoringSystem = require('./scoring-system');
+const CommandQueue = require('./command-queue');
 
 console.log('🧠 Enhanced Math Race Game - Feature Demo\n');
 
@@ -38,6 +39,12 @@ for (let i = 0; i < 5; i++) {
   console.log(`  Answer: ${question.answer}\n`);
 }
 
+// The same seed always produces the same questions
+const firstRun = mlGenerator.generateSequence('demo-seed', 5).map(q => q.question);
+const secondRun = mlGenerator.generateSequence('demo-seed', 5).map(q => q.question);
+console.log(`Seeded sequence "demo-seed": ${firstRun.join(', ')}`);
+console.log(`  Reproducible: ${firstRun.join() === secondRun.join() ? 'yes' : 'no'}`);
+
 // Demo 2: Scoring System
 console.log('\n📊 Sophisticated Scoring System Demo:');
 console.log('=' .repeat(50));
@@ -97,14 +104,52 @@ async function demoConcurrency() {
     console.log('❌ Mutex error:', error.message);
   }
   
-  // Test thread pool
+  // Readers share a room lock, and a lock cycle is refused instead of hanging
+  try {
+    const reader1 = await concurrencyManager.acquireGameLock('demo-room', 'spectator-1', 1000, { mode: 'read' });
+    const reader2 = await concurrencyManager.acquireGameLock('demo-room', 'spectator-2', 1000, { mode: 'read' });
+    console.log('✅ Two readers share the room lock');
+    reader1.release();
+    reader2.release();
+    
+    const lockA = await concurrencyManager.acquireMutex('resource-a', 1000, { owner: 'task-1' });
+    const lockB = await concurrencyManager.acquireMutex('resource-b', 1000, { owner: 'task-2' });
+    const waiting = concurrencyManager.acquireMutex('resource-b', 1000, { owner: 'task-1' });
+    await concurrencyManager.acquireMutex('resource-a', 1000, { owner: 'task-2' })
+      .catch(error => console.log(`✅ Deadlock detected (${error.code})`));
+    lockB.release();
+    (await waiting).release();
+    lockA.release();
+  } catch (error) {
+    console.log('❌ Lock error:', error.message);
+  }
+  
+  // Rooms run commands one at a time: a burst of answers to the same round
+  // moves the game on exactly once
+  const room = { round: 1, answered: new Set(), transitions: 0 };
+  const commands = new CommandQueue('demo-room');
+  const submit = playerId => commands.enqueue('submitAnswer', async () => {
+    if (room.answered.has(playerId)) return false;
+    await new Promise(resolve => setTimeout(resolve, Math.random() * 10));
+    room.answered.add(playerId);
+    if (room.answered.size === 2) {
+      room.transitions++;
+      room.round++;
+    }
+    return true;
+  });
+  const results = await Promise.all(['alice', 'bob', 'alice', 'bob', 'alice'].map(submit));
+  console.log(`✅ ${results.filter(Boolean).length} of ${results.length} concurrent answers accepted, ${room.transitions} round transition`);
+  
+  // Test worker thread pool - batch analytics over the answers so far
   try {
-    const result = await concurrencyManager.executeInThread(async () => {
-      await new Promise(resolve => setTimeout(resolve, 200));
-      return 'Task completed successfully';
-    }, 'high');
+    const analytics = await concurrencyManager.executeInThread(
+      'answerAnalytics',
+      mlGenerator.questionDifficultyHistory,
+      { priority: 'high' }
+    );
     
-    console.log('✅ Thread pool task:', result);
+    console.log(`✅ Worker thread analyzed ${analytics.overall.answers} answers`);
   } catch (error) {
     console.log('❌ Thread pool error:', error.message);
   }
@@ -115,7 +160,10 @@ async function demoConcurrency() {
   console.log(`  Active Threads: ${stats.activeThreads}/${stats.maxThreads}`);
   console.log(`  Thread Utilization: ${stats.threadUtilization.toFixed(1)}%`);
   console.log(`  Active Mutexes: ${stats.activeMutexes}`);
+  console.log(`  Deadlocks Detected: ${stats.locks.deadlocks}`);
   console.log(`  Queued Tasks: ${stats.queuedTasks}`);
+  
+  await concurrencyManager.close();
 }
 
 // Demo 4: Leaderboard
@@ -155,6 +203,7 @@ demoConcurrency().then(() => {
   console.log('\n🎉 Demo completed successfully!');
   console.log('\nKey Features Demonstrated:');
   console.log('✅ ML-powered question generation with Random Forest');
+  console.log('✅ Reproducible seeded question sequences');
   console.log('✅ Sophisticated multi-factor scoring system');
   console.log('✅ Concurrency control with mutex and threading');
   console.log('✅ Real-time leaderboards and analytics');
@@ -0,0 +1,209 @@
+const MetricsRegistry = require('./metrics-registry');
+
+const RATE_WINDOW_SECONDS = 60;
+const RESPONSE_BUCKETS = [0.5, 1, 2, 3, 5, 7.5, 10, 15, 20, 30, 45, 60];
+const PROCESSING_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+const LOCK_WAIT_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const RETRAIN_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// What a retrain report's reason means for ops
+const RETRAIN_OUTCOMES = {
+  worseThanCurrent: 'rejected',
+  error: 'failed'
+};
+
+// Game server metrics for Prometheus. Events (answers, lock waits, retrains)
+// are recorded as they happen; everything else is read from `sources` when
+// the metrics are scraped:
+//   getRooms()            - rooms hosted by this node
+//   getConnectedPlayers() - players connected to this node
+//   getClusterPlayers()   - players connected to any node in the cluster
+//   getLockStats()        - LockManager.getStats()
+//   getModelInfo()        - MLQuestionGenerator.getModelInfo()
+class GameMetrics {
+  constructor(sources = {}) {
+    this.sources = sources;
+    this.registry = new MetricsRegistry();
+    this.recentAnswers = []; // { second, count }, oldest first
+    this.accuracy = new Map(); // difficulty -> { answered, correct }, real players only
+
+    this.registerRoomMetrics();
+    this.registerAnswerMetrics();
+    this.registerLockMetrics();
+    this.registerModelMetrics();
+  }
+
+  registerRoomMetrics() {
+    this.registry.gauge('mathrace_active_rooms', 'Rooms hosted by this node, by game state', {
+      labelNames: ['state'],
+      collect: () => {
+        const counts = { waiting: 0, playing: 0, finished: 0 };
+        for (const room of this.source('getRooms', [])) {
+          counts[room.gameState] = (counts[room.gameState] || 0) + 1;
+        }
+        return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+      }
+    });
+    this.registry.gauge('mathrace_connected_players', 'Players connected to this node', {
+      collect: () => this.source('getConnectedPlayers', 0)
+    });
+    this.registry.gauge('mathrace_cluster_connected_players', 'Players connected to any node in the cluster, as of the last shared state sync', {
+      collect: () => this.source('getClusterPlayers', 0)
+    });
+  }
+
+  registerAnswerMetrics() {
+    this.answers = this.registry.counter('mathrace_answers_total', 'Answers scored, by difficulty, outcome and kind of player', {
+      labelNames: ['difficulty', 'outcome', 'player']
+    });
+    this.registry.gauge('mathrace_answers_per_second', `Answers scored per second over the last ${RATE_WINDOW_SECONDS}s`, {
+      collect: () => this.getAnswerRate()
+    });
+    this.responseTimes = this.registry.histogram('mathrace_answer_response_seconds', 'Time real players took to answer a question', {
+      labelNames: ['difficulty'],
+      buckets: RESPONSE_BUCKETS
+    });
+    this.processingTimes = this.registry.histogram('mathrace_answer_processing_seconds', 'Time from receiving an answer to having scored it, including the wait in the room queue', {
+      buckets: PROCESSING_BUCKETS
+    });
+    this.registry.gauge('mathrace_answer_accuracy', 'Share of real players\' answers that were correct, by difficulty', {
+      labelNames: ['difficulty'],
+      collect: () => Array.from(this.accuracy.entries()).map(([difficulty, totals]) => ({
+        labels: { difficulty },
+        value: totals.correct / totals.answered
+      }))
+    });
+  }
+
+  registerLockMetrics() {
+    this.lockWaits = this.registry.histogram('mathrace_lock_wait_seconds', 'Time spent waiting for a contended lock', {
+      buckets: LOCK_WAIT_BUCKETS
+    });
+    this.registry.gauge('mathrace_locks_held', 'Locks currently held', {
+      collect: () => this.lockStat('heldLocks')
+    });
+    this.registry.gauge('mathrace_lock_waiters', 'Lock requests currently waiting', {
+      collect: () => this.lockStat('waiting')
+    });
+    this.registry.counter('mathrace_lock_timeouts_total', 'Lock requests that timed out', {
+      collect: () => this.lockStat('timeouts')
+    });
+    this.registry.counter('mathrace_lock_deadlocks_total', 'Lock requests refused because they would deadlock', {
+      collect: () => this.lockStat('deadlocks')
+    });
+  }
+
+  registerModelMetrics() {
+    this.retrainDurations = this.registry.histogram('mathrace_ml_retrain_duration_seconds', 'Time spent training a candidate model', {
+      buckets: RETRAIN_BUCKETS
+    });
+    this.retrains = this.registry.counter('mathrace_ml_retrains_total', 'Retrain attempts: accepted, rejected (worse than the current model), failed, or skipped', {
+      labelNames: ['outcome']
+    });
+    this.registry.gauge('mathrace_ml_model_accuracy', 'Holdout accuracy of the model in use', {
+      collect: () => this.modelStat(info => info.metrics && info.metrics.accuracy)
+    });
+    this.registry.gauge('mathrace_ml_model_log_loss', 'Holdout log-loss of the model in use', {
+      collect: () => this.modelStat(info => info.metrics && info.metrics.logLoss)
+    });
+    this.registry.gauge('mathrace_ml_model_version', 'Version of the model in use', {
+      collect: () => this.modelStat(info => info.version)
+    });
+    this.registry.gauge('mathrace_ml_last_retrain_timestamp_seconds', 'When the model was last retrained', {
+      collect: () => this.modelStat(info => info.lastRetrain && info.lastRetrain.timestamp / 1000)
+    });
+  }
+
+  // A source that's missing or fails shouldn't break the whole scrape
+  source(name, fallback) {
+    if (!this.sources[name]) return fallback;
+    try {
+      return this.sources[name]();
+    } catch (error) {
+      console.error(`Error reading metrics source ${name}:`, error.message);
+      return fallback;
+    }
+  }
+
+  lockStat(name) {
+    const stats = this.source('getLockStats', null);
+    return stats ? stats[name] : null;
+  }
+
+  // No sample until there's a model to describe
+  modelStat(pick) {
+    const info = this.source('getModelInfo', null);
+    const value = info ? pick(info) : null;
+    return typeof value === 'number' ? value : null;
+  }
+
+  // A scored answer. responseTime is in seconds.
+  recordAnswer({ difficulty, correct, timedOut, responseTime, isBot }) {
+    difficulty = difficulty || 'unknown';
+    const outcome = timedOut ? 'timedOut' : correct ? 'correct' : 'incorrect';
+    this.answers.inc({ difficulty, outcome, player: isBot ? 'bot' : 'human' });
+    this.countRecentAnswer();
+
+    // Bots and ghosts answer on a script, so only real players say anything
+    // about the questions
+    if (isBot) return;
+    if (!timedOut) {
+      this.responseTimes.observe({ difficulty }, responseTime);
+    }
+    if (!this.accuracy.has(difficulty)) {
+      this.accuracy.set(difficulty, { answered: 0, correct: 0 });
+    }
+    const totals = this.accuracy.get(difficulty);
+    totals.answered++;
+    if (correct) totals.correct++;
+  }
+
+  recordAnswerProcessed(ms) {
+    this.processingTimes.observe(ms / 1000);
+  }
+
+  recordLockWait(ms) {
+    this.lockWaits.observe(ms / 1000);
+  }
+
+  // A retrain report from MLQuestionGenerator.retrainModel(InBackground)
+  recordRetrain(report) {
+    const outcome = report.accepted ? 'accepted' : RETRAIN_OUTCOMES[report.reason] || 'skipped';
+    this.retrains.inc({ outcome });
+    if (typeof report.duration === 'number') {
+      this.retrainDurations.observe(report.duration / 1000);
+    }
+  }
+
+  countRecentAnswer(now = Date.now()) {
+    const second = Math.floor(now / 1000);
+    const latest = this.recentAnswers[this.recentAnswers.length - 1];
+    if (latest && latest.second === second) {
+      latest.count++;
+    } else {
+      this.recentAnswers.push({ second, count: 1 });
+    }
+    this.pruneRecentAnswers(now);
+  }
+
+  pruneRecentAnswers(now) {
+    const oldest = Math.floor(now / 1000) - RATE_WINDOW_SECONDS;
+    while (this.recentAnswers.length > 0 && this.recentAnswers[0].second <= oldest) {
+      this.recentAnswers.shift();
+    }
+  }
+
+  getAnswerRate(now = Date.now()) {
+    this.pruneRecentAnswers(now);
+    const total = this.recentAnswers.reduce((sum, entry) => sum + entry.count, 0);
+    return total / RATE_WINDOW_SECONDS;
+  }
+
+  render() {
+    return this.registry.render();
+  }
+}
+
+GameMetrics.CONTENT_TYPE = MetricsRegistry.CONTENT_TYPE;
+
+module.exports = GameMetrics;
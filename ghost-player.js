@@ -0,0 +1,45 @@
+// Replays a player's answers from a recorded game. Used with the recorded
+// question sequence so the ghost answers exactly what the player answered,
+// as fast as they answered it.
+class GhostPlayer {
+  constructor(id, record, playerId, options = {}) {
+    this.id = id;
+    this.record = record;
+    this.playerId = playerId;
+    this.profileKey = 'ghost';
+    this.name = options.name || `Ghost of ${playerId}`;
+    this.rating = options.rating || null;
+  }
+
+  // Recorded answer for a round, or null if the player didn't answer it
+  getRecordedAnswer(round) {
+    const recordedRound = this.record.rounds[round - 1];
+    return recordedRound ? recordedRound.answers[this.playerId] || null : null;
+  }
+
+  getAccuracy(question) {
+    const answered = this.record.rounds
+      .map(round => round.answers[this.playerId])
+      .filter(Boolean);
+    if (answered.length === 0) return 0;
+    return answered.filter(answer => answer.correct).length / answered.length;
+  }
+
+  playQuestion(question, round) {
+    const recorded = this.getRecordedAnswer(round);
+    if (!recorded || recorded.timedOut) {
+      return { timedOut: true };
+    }
+
+    return {
+      answer: recorded.answer,
+      isCorrect: recorded.correct,
+      responseTime: recorded.responseTime
+    };
+  }
+
+  // A ghost plays exactly as recorded
+  adapt() {}
+}
+
+module.exports = GhostPlayer;
@@ -0,0 +1,271 @@
+const DEFAULT_TIMEOUT = 5000;
+const MAX_DEADLOCK_HISTORY = 20;
+
+// Async locks with owners. Each resource can be held exclusively by one owner
+// or shared by several; waiters are served strictly in arrival order, so a
+// queued writer isn't starved by a stream of readers. Every wait adds edges to
+// a wait-for graph of owners, and a request that would close a cycle fails
+// with EDEADLOCK instead of hanging until its timeout.
+class LockManager {
+  constructor(options = {}) {
+    this.defaultTimeout = options.timeout || DEFAULT_TIMEOUT;
+    this.onWait = options.onWait || null; // Called with the ms each waiter waited
+    this.locks = new Map(); // resourceId -> { mode, holders: Map(owner -> count), queue }
+    this.nextOwnerId = 1;
+    this.deadlocks = []; // Most recent cycles found, newest last
+    this.grantedAfterWait = 0;
+    this.stats = {
+      acquired: 0,
+      contended: 0,
+      timeouts: 0,
+      deadlocks: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0
+    };
+  }
+
+  // options: owner (defaults to a fresh anonymous owner), mode ('exclusive' or
+  // 'shared'), timeout in ms, reentrant (the owner may take a lock it already
+  // holds, in the same mode, and must release it as many times)
+  acquire(resourceId, options = {}) {
+    const owner = options.owner !== undefined ? String(options.owner) : `anonymous_${this.nextOwnerId++}`;
+    const mode = options.mode === 'shared' ? 'shared' : 'exclusive';
+    const timeout = options.timeout || this.defaultTimeout;
+    const lock = this.getLock(resourceId);
+
+    if (lock.holders.has(owner)) {
+      if (!options.reentrant) {
+        return Promise.reject(LockManager.lockError('EREENTRANT', `${owner} already holds lock ${resourceId}`));
+      }
+      if (lock.mode !== mode) {
+        return Promise.reject(LockManager.lockError('EUPGRADE', `${owner} holds ${resourceId} as ${lock.mode} and can't take it as ${mode}`));
+      }
+      lock.holders.set(owner, lock.holders.get(owner) + 1);
+      this.stats.acquired++;
+      return Promise.resolve(this.createHandle(resourceId, owner, mode));
+    }
+
+    if (lock.queue.length === 0 && LockManager.isCompatible(lock, mode)) {
+      this.grant(resourceId, lock, owner, mode);
+      return Promise.resolve(this.createHandle(resourceId, owner, mode));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { owner, mode, resolve, reject, queuedAt: Date.now(), timer: null };
+      lock.queue.push(waiter);
+      this.stats.contended++;
+
+      const cycle = this.findCycle(owner);
+      if (cycle) {
+        this.removeWaiter(resourceId, lock, waiter);
+        this.recordDeadlock(cycle);
+        reject(LockManager.lockError('EDEADLOCK', `Deadlock acquiring ${resourceId}: ${cycle.map(edge => edge.owner).join(' -> ')} -> ${owner}`));
+        return;
+      }
+
+      waiter.timer = setTimeout(() => {
+        this.stats.timeouts++;
+        this.removeWaiter(resourceId, lock, waiter);
+        reject(LockManager.lockError('ELOCKTIMEOUT', `Lock timeout for resource: ${resourceId}`));
+      }, timeout);
+    });
+  }
+
+  static lockError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  static isCompatible(lock, mode) {
+    return lock.holders.size === 0 || (lock.mode === 'shared' && mode === 'shared');
+  }
+
+  getLock(resourceId) {
+    if (!this.locks.has(resourceId)) {
+      this.locks.set(resourceId, { mode: null, holders: new Map(), queue: [], acquiredAt: null });
+    }
+    return this.locks.get(resourceId);
+  }
+
+  grant(resourceId, lock, owner, mode) {
+    if (lock.holders.size === 0) {
+      lock.acquiredAt = Date.now();
+    }
+    lock.mode = mode;
+    lock.holders.set(owner, 1);
+    this.stats.acquired++;
+  }
+
+  // Release is idempotent, so a finally block can't release twice
+  createHandle(resourceId, owner, mode) {
+    let released = false;
+    return {
+      resourceId,
+      owner,
+      mode,
+      release: () => {
+        if (released) return;
+        released = true;
+        this.release(resourceId, owner);
+      }
+    };
+  }
+
+  release(resourceId, owner) {
+    const lock = this.locks.get(resourceId);
+    if (!lock || !lock.holders.has(owner)) return;
+
+    const count = lock.holders.get(owner) - 1;
+    if (count > 0) {
+      lock.holders.set(owner, count);
+      return;
+    }
+
+    lock.holders.delete(owner);
+    if (lock.holders.size === 0) {
+      lock.mode = null;
+      lock.acquiredAt = null;
+    }
+    this.grantWaiters(resourceId, lock);
+  }
+
+  // Wake waiters from the front of the queue for as long as they're compatible
+  grantWaiters(resourceId, lock) {
+    while (lock.queue.length > 0 && LockManager.isCompatible(lock, lock.queue[0].mode)) {
+      const waiter = lock.queue.shift();
+      clearTimeout(waiter.timer);
+
+      const waited = Date.now() - waiter.queuedAt;
+      this.grantedAfterWait++;
+      this.stats.totalWaitMs += waited;
+      this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waited);
+      if (this.onWait) this.onWait(waited, resourceId);
+
+      this.grant(resourceId, lock, waiter.owner, waiter.mode);
+      waiter.resolve(this.createHandle(resourceId, waiter.owner, waiter.mode));
+    }
+
+    if (lock.holders.size === 0 && lock.queue.length === 0) {
+      this.locks.delete(resourceId);
+    }
+  }
+
+  // A waiter that gives up may have been blocking compatible waiters behind it
+  removeWaiter(resourceId, lock, waiter) {
+    clearTimeout(waiter.timer);
+    lock.queue = lock.queue.filter(other => other !== waiter);
+    this.grantWaiters(resourceId, lock);
+  }
+
+  // Edges of the wait-for graph: each waiting owner waits for the holders of
+  // the lock and for incompatible waiters queued ahead of it
+  getWaitForEdges() {
+    const edges = [];
+    for (const [resourceId, lock] of this.locks) {
+      lock.queue.forEach((waiter, index) => {
+        const blockers = new Set(lock.holders.keys());
+        for (const ahead of lock.queue.slice(0, index)) {
+          if (ahead.mode === 'exclusive' || waiter.mode === 'exclusive') {
+            blockers.add(ahead.owner);
+          }
+        }
+        for (const blocker of blockers) {
+          if (blocker !== waiter.owner) {
+            edges.push({ owner: waiter.owner, waitsFor: blocker, resourceId });
+          }
+        }
+      });
+    }
+    return edges;
+  }
+
+  // Path of edges leading from `owner` back to itself, if there is one
+  findCycle(owner, edges = this.getWaitForEdges()) {
+    const visited = new Set();
+    const path = [];
+
+    const visit = current => {
+      for (const edge of edges.filter(candidate => candidate.owner === current)) {
+        path.push(edge);
+        if (edge.waitsFor === owner) return true;
+        if (!visited.has(edge.waitsFor)) {
+          visited.add(edge.waitsFor);
+          if (visit(edge.waitsFor)) return true;
+        }
+        path.pop();
+      }
+      return false;
+    };
+
+    return visit(owner) ? path : null;
+  }
+
+  // Every cycle currently in the wait-for graph, one per set of owners
+  detectDeadlocks() {
+    const edges = this.getWaitForEdges();
+    const seen = new Set();
+    const cycles = [];
+
+    for (const owner of new Set(edges.map(edge => edge.owner))) {
+      const cycle = this.findCycle(owner, edges);
+      if (!cycle) continue;
+
+      const key = cycle.map(edge => edge.owner).sort().join('|');
+      if (!seen.has(key)) {
+        seen.add(key);
+        cycles.push(LockManager.describeCycle(cycle));
+      }
+    }
+    return cycles;
+  }
+
+  static describeCycle(cycle) {
+    return {
+      owners: cycle.map(edge => edge.owner),
+      resources: cycle.map(edge => edge.resourceId),
+      edges: cycle.map(edge => ({ owner: edge.owner, waitsFor: edge.waitsFor, resourceId: edge.resourceId }))
+    };
+  }
+
+  recordDeadlock(cycle) {
+    this.stats.deadlocks++;
+    this.deadlocks.push({ ...LockManager.describeCycle(cycle), detectedAt: Date.now() });
+    if (this.deadlocks.length > MAX_DEADLOCK_HISTORY) {
+      this.deadlocks.shift();
+    }
+    console.error(`Deadlock detected: ${cycle.map(edge => `${edge.owner} waits for ${edge.waitsFor} on ${edge.resourceId}`).join(', ')}`);
+  }
+
+  getHolders(resourceId) {
+    const lock = this.locks.get(resourceId);
+    return lock ? Array.from(lock.holders.keys()) : [];
+  }
+
+  // Locks held longer than maxAge - usually a missing release()
+  getLongHeldLocks(maxAge, now = Date.now()) {
+    return Array.from(this.locks.entries())
+      .filter(([resourceId, lock]) => lock.acquiredAt && now - lock.acquiredAt > maxAge)
+      .map(([resourceId, lock]) => ({
+        resourceId,
+        mode: lock.mode,
+        holders: Array.from(lock.holders.keys()),
+        heldFor: now - lock.acquiredAt
+      }));
+  }
+
+  getStats() {
+    const locks = Array.from(this.locks.values());
+    return {
+      heldLocks: locks.filter(lock => lock.holders.size > 0).length,
+      sharedLocks: locks.filter(lock => lock.mode === 'shared').length,
+      waiting: locks.reduce((total, lock) => total + lock.queue.length, 0),
+      ...this.stats,
+      avgWaitMs: this.grantedAfterWait > 0 ? this.stats.totalWaitMs / this.grantedAfterWait : 0,
+      currentDeadlocks: this.detectDeadlocks(),
+      recentDeadlocks: this.deadlocks.slice()
+    };
+  }
+}
+
+module.exports = LockManager;
@@ -0,0 +1,157 @@
+// Skill-based matchmaking. Waiting players sit in a FIFO queue and are matched
+// with others whose rating is within a window that widens the longer they
+// wait. Anyone left waiting past the bot timeout is handed a bot match.
+const QUEUE_ID = 'matchmaking';
+
+// Players are only matched with others who asked for the same game, since
+// they all play in one room
+const MATCH_OPTIONS = ['questionCount', 'timeLimit'];
+
+class Matchmaker {
+  constructor(concurrencyManager, ratingSystem, options = {}) {
+    this.concurrencyManager = concurrencyManager;
+    this.ratingSystem = ratingSystem;
+    this.waiting = new Map(); // playerId -> { rating, joinedAt, options }
+    this.timer = null;
+
+    this.playersPerMatch = options.playersPerMatch || 2;
+    this.initialWindow = options.initialWindow || 100; // Rating points
+    this.windowGrowthPerSecond = options.windowGrowthPerSecond || 10;
+    this.maxWindow = options.maxWindow || 600;
+    this.botFallbackMs = options.botFallbackMs || 30000;
+    this.tickMs = options.tickMs || 1000;
+
+    this.onMatch = options.onMatch || (() => {});
+    this.onBotFallback = options.onBotFallback || (() => {});
+  }
+
+  async enqueue(playerId, options = {}) {
+    if (this.waiting.has(playerId)) {
+      return this.getQueueStatus(playerId);
+    }
+
+    this.waiting.set(playerId, {
+      rating: this.ratingSystem.getRating(playerId).rating,
+      joinedAt: Date.now(),
+      options
+    });
+    await this.concurrencyManager.addPlayerToQueue(QUEUE_ID, playerId);
+
+    this.processQueue();
+    return this.getQueueStatus(playerId);
+  }
+
+  // Put a player back where they were, keeping the time they joined (and so
+  // their widened rating window) and the options they queued with - e.g.
+  // when a match fell through because another player dropped
+  async requeue(entry) {
+    const { playerId, ...queued } = entry;
+    if (this.waiting.has(playerId)) return this.getQueueStatus(playerId);
+
+    const position = this.concurrencyManager.getQueue(QUEUE_ID)
+      .findIndex(otherId => this.waiting.has(otherId) && this.waiting.get(otherId).joinedAt > queued.joinedAt);
+    this.waiting.set(playerId, queued);
+    await this.concurrencyManager.addPlayerToQueue(QUEUE_ID, playerId, position);
+    return this.getQueueStatus(playerId);
+  }
+
+  dequeue(playerId) {
+    if (!this.waiting.has(playerId)) return false;
+
+    this.waiting.delete(playerId);
+    this.concurrencyManager.removePlayerFromQueue(QUEUE_ID, playerId);
+    return true;
+  }
+
+  isQueued(playerId) {
+    return this.waiting.has(playerId);
+  }
+
+  getQueueStatus(playerId, now = Date.now()) {
+    const entry = this.waiting.get(playerId);
+    if (!entry) return null;
+
+    return {
+      position: this.concurrencyManager.getQueue(QUEUE_ID).indexOf(playerId) + 1,
+      queueSize: this.waiting.size,
+      rating: Math.round(entry.rating),
+      ratingWindow: Math.round(this.getWindow(entry, now)),
+      waitTime: now - entry.joinedAt
+    };
+  }
+
+  // Acceptable rating difference for a player, given how long they've waited
+  getWindow(entry, now = Date.now()) {
+    const waitSeconds = (now - entry.joinedAt) / 1000;
+    return Math.min(this.maxWindow, this.initialWindow + waitSeconds * this.windowGrowthPerSecond);
+  }
+
+  // Form as many matches as the queue allows, oldest players first
+  processQueue(now = Date.now()) {
+    const matches = [];
+    let queue = this.concurrencyManager.getQueue(QUEUE_ID);
+
+    while (queue.length > 0) {
+      const anchorId = queue.shift();
+      const anchor = this.waiting.get(anchorId);
+      if (!anchor) continue;
+
+      // Both players have to be within each other's window
+      const candidates = queue
+        .filter(playerId => {
+          const entry = this.waiting.get(playerId);
+          if (!entry || !Matchmaker.isCompatible(anchor, entry)) return false;
+          const difference = Math.abs(entry.rating - anchor.rating);
+          return difference <= this.getWindow(anchor, now) && difference <= this.getWindow(entry, now);
+        })
+        .sort((a, b) => Math.abs(this.waiting.get(a).rating - anchor.rating) -
+          Math.abs(this.waiting.get(b).rating - anchor.rating))
+        .slice(0, this.playersPerMatch - 1);
+
+      if (candidates.length === this.playersPerMatch - 1) {
+        const playerIds = [anchorId, ...candidates];
+        const entries = playerIds.map(playerId => ({ playerId, ...this.waiting.get(playerId) }));
+        playerIds.forEach(playerId => this.dequeue(playerId));
+        queue = queue.filter(playerId => !playerIds.includes(playerId));
+        matches.push({ playerIds, entries });
+      } else if (now - anchor.joinedAt >= this.botFallbackMs) {
+        this.dequeue(anchorId);
+        this.onBotFallback(anchorId, anchor.options);
+      }
+    }
+
+    // onMatch also gets each player's queue entry, for requeue()
+    matches.forEach(({ playerIds, entries }) => this.onMatch(playerIds, entries));
+    return matches.map(({ playerIds }) => playerIds);
+  }
+
+  static isCompatible(a, b) {
+    const optionsA = a.options || {};
+    const optionsB = b.options || {};
+    return MATCH_OPTIONS.every(name => optionsA[name] === optionsB[name]);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processQueue(), this.tickMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      waitingPlayers: this.waiting.size,
+      oldestWait: Array.from(this.waiting.values())
+        .reduce((oldest, entry) => Math.max(oldest, Date.now() - entry.joinedAt), 0)
+    };
+  }
+}
+
+module.exports = Matchmaker;
@@ -0,0 +1,171 @@
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeHelp = text => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One named metric and its labelled series. Either values are recorded into
+// it, or `collect` returns them when the metric is rendered: a number, or
+// a list of { labels, value } (null for no samples).
+class Metric {
+  constructor(type, name, help, options = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = options.labelNames || [];
+    this.collect = options.collect || null;
+    this.series = new Map(); // label values -> { labels, value }
+  }
+
+  // An unlabelled metric reports zero before anything is recorded
+  init() {
+    if (this.labelNames.length === 0 && !this.collect) {
+      this.getSeries();
+    }
+    return this;
+  }
+
+  getSeries(labels = {}) {
+    const key = this.labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])).join('\u0000');
+    if (!this.series.has(key)) {
+      const picked = {};
+      this.labelNames.forEach(name => { picked[name] = labels[name] === undefined ? '' : labels[name]; });
+      this.series.set(key, { labels: picked, ...this.initialValue() });
+    }
+    return this.series.get(key);
+  }
+
+  initialValue() {
+    return { value: 0 };
+  }
+
+  samples() {
+    if (!this.collect) return Array.from(this.series.values());
+
+    const collected = this.collect();
+    if (collected === null || collected === undefined) return [];
+    return typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+  }
+
+  renderSamples() {
+    return this.samples().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples()
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} can only go up`);
+    }
+    this.getSeries(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+}
+
+// Buckets are upper bounds, rendered cumulatively with a final +Inf bucket
+class Histogram extends Metric {
+  constructor(name, help, options = {}) {
+    super('histogram', name, help, options);
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  initialValue() {
+    return { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+  }
+
+  // observe(value) or observe(labels, value)
+  observe(labels, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    const series = this.getSeries(labels);
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index >= 0) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSamples() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+// Metrics rendered in the Prometheus text exposition format
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(name, help, options) {
+    return this.register(new Counter(name, help, options));
+  }
+
+  gauge(name, help, options) {
+    return this.register(new Gauge(name, help, options));
+  }
+
+  histogram(name, help, options) {
+    return this.register(new Histogram(name, help, options));
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric.init();
+  }
+
+  render() {
+    return Array.from(this.metrics.values()).map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = CONTENT_TYPE;
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = MetricsRegistry;
@@ -1,51 +1,125 @@
 const { RandomForestClassifier } = require('ml-random-forest');
 const { Matrix } = require('ml-matrix');
 const _ = require('lodash');
+const { MemoryPlayerStore } = require('./player-store');
+const SeededRandom = require('./seeded-random');
+
+// How likely each question type is at each difficulty level
+const QUESTION_TYPE_WEIGHTS = {
+  easy: { arithmetic: 4, multistep: 1, negative: 1 },
+  medium: { arithmetic: 3, multistep: 2, negative: 1, decimal: 1, percentage: 1, power: 1, fraction: 1, equation: 1 },
+  hard: { arithmetic: 2, multistep: 2, negative: 1, decimal: 1, percentage: 1, power: 1, fraction: 1, equation: 2 }
+};
+
+// Complexity added on top of the operation/number-size score
+const QUESTION_TYPE_COMPLEXITY = {
+  arithmetic: 0,
+  negative: 0.1,
+  decimal: 0.15,
+  multistep: 0.2,
+  percentage: 0.2,
+  power: 0.2,
+  fraction: 0.3,
+  equation: 0.35
+};
+
+const QUESTION_TYPES = Object.keys(QUESTION_TYPE_COMPLEXITY);
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// Feature layout shared by training and prediction - one row per
+// (player, question) pair, with the player's state from before they answered
+const FEATURE_SCHEMA = [
+  'complexity',
+  'questionType',
+  'difficulty',
+  'playerAccuracy',
+  'playerResponseTime',
+  'recentAccuracy',
+  'difficultyPreference'
+];
+
+const MIN_TRAINING_RECORDS = 50;
+const HOLDOUT_FRACTION = 0.2; // Most recent answers held back for evaluation
+const ROLLBACK_TOLERANCE = 0.02; // Log-loss a new model may lose before it's rejected
+const DEFAULT_TARGET_SUCCESS_RATE = 0.7;
+const CANDIDATES_PER_DIFFICULTY = 3;
+const RETRAIN_TIMEOUT = 120000; // Background retrains that take longer are abandoned
 
 class MLQuestionGenerator {
-  constructor() {
-    this.randomForest = new RandomForestClassifier({
-      nEstimators: 100,
-      maxDepth: 10,
-      minSamplesSplit: 2,
-      minSamplesLeaf: 1
-    });
-    
-    // Training data for the ML model
-    this.trainingData = this.generateTrainingData();
+  constructor(options = {}) {
+    this.store = options.store || new MemoryPlayerStore();
+    this.questionTypes = options.questionTypes || Object.keys(QUESTION_TYPE_COMPLEXITY);
+    this.questionGenerators = {
+      arithmetic: this.generateArithmeticQuestion,
+      multistep: this.generateMultiStepQuestion,
+      fraction: this.generateFractionQuestion,
+      decimal: this.generateDecimalQuestion,
+      percentage: this.generatePercentageQuestion,
+      power: this.generatePowerQuestion,
+      negative: this.generateNegativeQuestion,
+      equation: this.generateEquationQuestion
+    };
+
+    // Probability of answering correctly we aim each question at
+    this.targetSuccessRate = options.targetSuccessRate || DEFAULT_TARGET_SUCCESS_RATE;
+    this.random = options.random || Math.random; // Swap in a SeededRandom for reproducible questions
+    this.randomForest = null;
     this.trained = false;
-    this.playerPerformanceHistory = new Map();
-    this.questionDifficultyHistory = [];
+    this.modelRegistry = options.modelRegistry || null;
+    this.modelVersion = null;
+    this.modelMetrics = null;
+    this.lastRetrain = null;
+    this.retraining = false;
+    // Answers recorded (here or by nodes sharing the store), and how many of
+    // them the last retrain had - periodic retrains are skipped until there
+    // are new ones
+    this.samplesRecorded = 0;
+    this.samplesAtLastRetrain = 0;
+    // Runs a named task off the main thread, e.g. ConcurrencyManager.executeInThread
+    this.runTask = options.runTask || null;
+    
+    // Restore persisted performance state
+    this.playerPerformanceHistory = this.store.getAllPerformance();
+    this.questionDifficultyHistory = this.store.getDifficultyHistory();
+    this.store.onRemoteChange(change => this.applyRemoteChange(change));
     this.playerQuestionHistory = new Map(); // Track questions per player
     
-    this.trainModel();
+    if (options.autoTrain !== false) {
+      this.trainModel();
+    }
   }
 
-  generateTrainingData() {
-    const trainingData = [];
-    const labels = [];
-    
-    // Generate synthetic training data based on question characteristics
-    // Reduced size to avoid ML library issues
-    for (let i = 0; i < 100; i++) {
-      const operation = ['+', '-', '*', '/'][Math.floor(Math.random() * 4)];
-      const num1 = Math.floor(Math.random() * 100) + 1;
-      const num2 = Math.floor(Math.random() * 100) + 1;
-      
-      // Features: [operation_type, num1, num2, complexity_score, time_taken, accuracy]
-      const operationType = ['+', '-', '*', '/'].indexOf(operation);
-      const complexity = this.calculateComplexity(num1, num2, operation);
-      const timeTaken = Math.random() * 30; // Simulated response time
-      const accuracy = Math.random() > 0.3 ? 1 : 0; // Simulated accuracy
-      
-      trainingData.push([operationType, num1, num2, complexity, timeTaken, accuracy]);
-      labels.push(complexity > 0.7 ? 'hard' : complexity > 0.4 ? 'medium' : 'easy');
-    }
+  createForest() {
+    return new RandomForestClassifier({
+      nEstimators: 50,
+      maxFeatures: 0.8,
+      treeOptions: { maxDepth: 8, minNumSamples: 3 },
+      noOOB: true
+    });
+  }
+
+  // Feature row for a (player, question) pair - see FEATURE_SCHEMA
+  buildFeatures(performance, question) {
+    const recentAnswers = performance.recentAnswers || [];
     
-    return { features: trainingData, labels };
+    return [
+      question.complexity || 0,
+      Math.max(0, QUESTION_TYPES.indexOf(question.type || 'arithmetic')),
+      Math.max(0, DIFFICULTY_LEVELS.indexOf(question.difficulty)),
+      performance.accuracy,
+      Math.min(performance.avgResponseTime / 30, 1), // Normalize to 0-1
+      recentAnswers.length > 0 ? _.mean(recentAnswers) : 0.5,
+      performance.difficultyPreference
+    ];
   }
 
-  calculateComplexity(num1, num2, operation) {
+  // A correct answer only counts as a success if it wasn't painfully slow
+  isSuccessfulOutcome(isCorrect, responseTime, complexity) {
+    const slowAnswerTime = 10 + 20 * (complexity || 0);
+    return isCorrect && responseTime <= slowAnswerTime;
+  }
+
+  calculateComplexity(num1, num2, operation, questionType = 'arithmetic') {
     let complexity = 0;
     
     // Base complexity by operation
@@ -64,112 +138,449 @@ class MLQuestionGenerator {
     // Adjust for decimal results in division
     if (operation === '/' && num1 % num2 !== 0) complexity += 0.3;
     
+    // Extra complexity for the question format itself
+    complexity += QUESTION_TYPE_COMPLEXITY[questionType] || 0;
+    
     return Math.min(complexity, 1.0);
   }
 
+  // Load the active snapshot, or train from the persisted answer history
   trainModel() {
+    if (this.loadModelFromRegistry()) return;
+    
+    const report = this.retrainModel();
+    if (!report.accepted) {
+      console.log(`ML model waiting for ${MIN_TRAINING_RECORDS} answers - using heuristic difficulty until then`);
+    }
+  }
+
+  loadModelFromRegistry() {
+    if (!this.modelRegistry) return false;
+    
+    const snapshot = this.modelRegistry.loadActive();
+    if (!snapshot) return false;
+    
+    // Snapshots trained on a different feature layout can't be used
+    if (!_.isEqual(snapshot.metadata.featureSchema, FEATURE_SCHEMA)) {
+      console.log(`Ignoring model v${snapshot.metadata.version} - feature schema has changed`);
+      return false;
+    }
+    
     try {
-      const X = new Matrix(this.trainingData.features);
-      this.randomForest.train(X, this.trainingData.labels);
+      this.randomForest = RandomForestClassifier.load(snapshot.model);
       this.trained = true;
-      console.log('ML Question Generator trained successfully');
+      this.modelVersion = snapshot.metadata.version;
+      this.modelMetrics = snapshot.metadata.metrics;
+      console.log(`Loaded ML model v${this.modelVersion}`);
+      return true;
     } catch (error) {
-      console.error('Error training ML model:', error);
-      console.log('Falling back to rule-based question generation');
-      this.trained = false;
+      console.error('Error loading saved model:', error);
+      return false;
     }
   }
 
   generateQuestion(playerId, playerStats = {}) {
-    if (!this.trained) {
-      return this.generateFallbackQuestion();
-    }
-
     try {
-      // Get player performance history
-      const history = this.playerPerformanceHistory.get(playerId) || {
-        accuracy: 0.7,
-        avgResponseTime: 15,
-        difficultyPreference: 0.5,
-        recentAnswers: []
-      };
-
-      // Predict optimal difficulty based on player performance
-      const features = [
-        history.accuracy,
-        history.avgResponseTime / 30, // Normalize to 0-1
-        history.difficultyPreference,
-        Math.random(), // Random factor for variety
-        history.recentAnswers.length > 0 ? 
-          history.recentAnswers.slice(-5).reduce((a, b) => a + b, 0) / 5 : 0.5
-      ];
-
-      const prediction = this.randomForest.predict([features]);
-      const targetDifficulty = prediction[0];
-
-      // Generate question based on predicted difficulty
-      return this.generateQuestionByDifficulty(targetDifficulty, playerStats);
+      return this.selectQuestionForPlayers([playerId], playerId);
     } catch (error) {
       console.error('Error generating ML question:', error);
       return this.generateFallbackQuestion();
     }
   }
 
-  generateQuestionByDifficulty(difficulty, playerStats) {
-    let operation, num1, num2;
+  // Probability that each player answers the question successfully
+  predictSuccessProbabilities(playerIds, question) {
+    const rows = playerIds.map(playerId => this.buildFeatures(this.getPlayerStats(playerId), question));
+    
+    if (!this.trained) {
+      // Heuristic until there's enough data: better players and easier questions succeed more
+      return rows.map(row => Math.max(0.05, Math.min(0.95, row[3] * (1.2 - row[0] * 0.6))));
+    }
+    
+    return this.predictWithForest(this.randomForest, rows);
+  }
+
+  predictWithForest(forest, rows) {
+    // Labels are 0/1, so the mean tree vote is the probability of success
+    const votes = forest.predictionValues(new Matrix(rows));
+    return rows.map((row, i) => _.mean(votes.getRow(i)));
+  }
+
+  // Accuracy and log-loss of a model on labelled rows
+  evaluateModel(forest, features, labels) {
+    const probabilities = this.predictWithForest(forest, features);
+    const epsilon = 1e-6;
+    let correct = 0;
+    let logLoss = 0;
+    
+    probabilities.forEach((probability, i) => {
+      const p = Math.min(1 - epsilon, Math.max(epsilon, probability));
+      if ((p >= 0.5 ? 1 : 0) === labels[i]) correct++;
+      logLoss -= labels[i] === 1 ? Math.log(p) : Math.log(1 - p);
+    });
+    
+    return {
+      accuracy: correct / labels.length,
+      logLoss: logLoss / labels.length,
+      samples: labels.length
+    };
+  }
+
+  getModelInfo() {
+    return {
+      trained: this.trained,
+      version: this.modelVersion,
+      metrics: this.modelMetrics,
+      lastRetrain: this.lastRetrain,
+      retraining: this.retraining,
+      featureSchema: FEATURE_SCHEMA
+    };
+  }
+
+  estimateSuccessProbability(playerId, question) {
+    return this.predictSuccessProbabilities([playerId], question)[0];
+  }
+
+  // Pick the candidate question whose predicted success rate across the
+  // players is closest to the target success rate
+  selectQuestionForPlayers(playerIds, historyKey = 'shared') {
+    const ids = playerIds.length > 0 ? playerIds : [historyKey];
+    const history = this.getPlayerQuestionHistory(historyKey);
+    
+    const candidates = [];
+    for (const difficulty of DIFFICULTY_LEVELS) {
+      for (let i = 0; i < CANDIDATES_PER_DIFFICULTY; i++) {
+        const candidate = this.createQuestion(difficulty);
+        if (!history.includes(candidate.question)) {
+          candidates.push(candidate);
+        }
+      }
+    }
+    if (candidates.length === 0) {
+      candidates.push(this.createQuestion('medium'));
+    }
+    
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+      candidate.predictedSuccess = _.mean(this.predictSuccessProbabilities(ids, candidate));
+      const distance = Math.abs(candidate.predictedSuccess - this.targetSuccessRate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    
+    this.addToPlayerHistory(historyKey, best.question);
+    return best;
+  }
+
+  generateQuestionByDifficulty(difficulty, playerStats = {}) {
+    const question = this.createQuestion(difficulty);
+
+    // Store question in history
+    this.addToPlayerHistory(playerStats.playerId || 'shared', question.question);
+
+    return question;
+  }
+
+  // Same as createQuestion, but drawing every number from the given random source
+  createQuestionWithRandom(difficulty, random) {
+    const view = Object.create(this, { random: { value: random } });
+    return view.createQuestion(difficulty);
+  }
+
+  // Reproducible question sequence - the same seed always gives the same
+  // questions, ramping from easy to hard over the game
+  generateSequence(seed, count) {
+    const random = new SeededRandom(seed).toFunction();
+    const seen = new Set();
+    const questions = [];
+    
+    for (let round = 1; round <= count; round++) {
+      const difficulty = this.getSequenceDifficulty(round, count);
+      let question = this.createQuestionWithRandom(difficulty, random);
+      for (let attempt = 0; attempt < 10 && seen.has(question.question); attempt++) {
+        question = this.createQuestionWithRandom(difficulty, random);
+      }
+      seen.add(question.question);
+      questions.push(question);
+    }
+    
+    return questions;
+  }
+
+  getSequenceDifficulty(round, count) {
+    const progress = count > 1 ? (round - 1) / (count - 1) : 0;
+    return DIFFICULTY_LEVELS[Math.min(DIFFICULTY_LEVELS.length - 1, Math.floor(progress * DIFFICULTY_LEVELS.length))];
+  }
+
+  // Build a question without recording it in any history
+  createQuestion(difficulty) {
+    // Pick a question type suited to the difficulty level
+    const weights = QUESTION_TYPE_WEIGHTS[difficulty] || QUESTION_TYPE_WEIGHTS.hard;
+    const available = Object.keys(weights).filter(type => this.questionTypes.includes(type));
+    const type = this.pickWeighted(available.length > 0 ? available : ['arithmetic'], weights);
     
-    // Get player's question history to avoid repetition
-    const playerHistory = this.getPlayerQuestionHistory(playerStats.playerId || 'shared');
+    const generated = this.questionGenerators[type].call(this, difficulty);
+
+    return {
+      question: generated.question,
+      answer: generated.answer.toString(),
+      complexity: generated.complexity,
+      difficulty,
+      type,
+      tolerance: generated.tolerance || 0,
+      timestamp: Date.now()
+    };
+  }
+
+  // Plain two-operand arithmetic
+  generateArithmeticQuestion(difficulty) {
+    let operation, num1, num2;
     
     if (difficulty === 'easy') {
-      operation = Math.random() > 0.5 ? '+' : '-';
-      num1 = Math.floor(Math.random() * 20) + 1;
-      num2 = Math.floor(Math.random() * 20) + 1;
+      operation = this.random() > 0.5 ? '+' : '-';
+      num1 = this.randomInt(1, 20);
+      num2 = this.randomInt(1, 20);
     } else if (difficulty === 'medium') {
-      operation = ['+', '-', '*'][Math.floor(Math.random() * 3)];
-      num1 = Math.floor(Math.random() * 50) + 1;
-      num2 = Math.floor(Math.random() * 50) + 1;
+      operation = this.pick(['+', '-', '*']);
+      num1 = this.randomInt(1, 50);
+      num2 = this.randomInt(1, 50);
     } else { // hard
-      operation = ['*', '/', '+', '-'][Math.floor(Math.random() * 4)];
-      num1 = Math.floor(Math.random() * 100) + 1;
-      num2 = Math.floor(Math.random() * 100) + 1;
+      operation = this.pick(['*', '/', '+', '-']);
+      num1 = this.randomInt(1, 100);
+      num2 = this.randomInt(1, 100);
     }
 
     // Ensure division results in whole numbers for easier calculation
     if (operation === '/') {
-      num1 = num2 * (Math.floor(Math.random() * 10) + 1);
+      num1 = num2 * this.randomInt(1, 10);
     }
 
-    const question = `${num1} ${operation} ${num2}`;
-    const answer = this.calculateAnswer(num1, num2, operation);
-    const complexity = this.calculateComplexity(num1, num2, operation);
+    return {
+      question: `${num1} ${operation} ${num2}`,
+      answer: this.calculateAnswer(num1, num2, operation),
+      complexity: this.calculateComplexity(num1, num2, operation)
+    };
+  }
 
-    // Store question in history
-    this.addToPlayerHistory(playerStats.playerId || 'shared', question);
+  // Several operations where order of operations matters
+  generateMultiStepQuestion(difficulty) {
+    let question, answer, operands;
+    
+    if (difficulty === 'easy') {
+      const [a, b, c] = [this.randomInt(1, 15), this.randomInt(1, 15), this.randomInt(1, 10)];
+      question = `${a} + ${b} - ${c}`;
+      answer = a + b - c;
+      operands = [a, b, c];
+    } else if (difficulty === 'medium') {
+      const [a, b, c] = [this.randomInt(1, 20), this.randomInt(2, 9), this.randomInt(2, 9)];
+      if (this.random() > 0.5) {
+        question = `${a} + ${b} * ${c}`;
+        answer = a + b * c;
+      } else {
+        question = `${b} * ${c} - ${a}`;
+        answer = b * c - a;
+      }
+      operands = [a, b, c];
+    } else {
+      const [a, b, c, d] = [this.randomInt(2, 15), this.randomInt(2, 15), this.randomInt(2, 9), this.randomInt(1, 20)];
+      if (this.random() > 0.5) {
+        question = `(${a} + ${b}) * ${c} - ${d}`;
+        answer = (a + b) * c - d;
+      } else {
+        question = `${a} * ${c} + ${b} * ${d % 9 + 2}`;
+        answer = a * c + b * (d % 9 + 2);
+      }
+      operands = [a, b, c, d];
+    }
 
+    // Precedence is what makes these hard, so only hard ones count as multiplication
+    const operation = difficulty === 'hard' ? '*' : '+';
     return {
       question,
-      answer: answer.toString(),
-      complexity,
-      difficulty,
-      timestamp: Date.now()
+      answer,
+      complexity: this.calculateComplexity(Math.max(...operands), 0, operation, 'multistep')
     };
   }
 
+  // Fraction arithmetic with answers in lowest terms
+  generateFractionQuestion(difficulty) {
+    let n1, d1, n2, d2, operation;
+    
+    if (difficulty === 'hard') {
+      operation = this.pick(['+', '-', '*']);
+      d1 = this.randomInt(2, 9);
+      d2 = this.randomInt(2, 9);
+    } else {
+      // Same denominator keeps easier fractions manageable
+      operation = this.pick(['+', '-']);
+      d1 = d2 = this.randomInt(2, 10);
+    }
+    n1 = this.randomInt(1, d1);
+    n2 = this.randomInt(1, d2);
+    
+    let numerator, denominator;
+    if (operation === '*') {
+      numerator = n1 * n2;
+      denominator = d1 * d2;
+    } else {
+      const sign = operation === '+' ? 1 : -1;
+      numerator = n1 * d2 + sign * n2 * d1;
+      denominator = d1 * d2;
+    }
+
+    return {
+      question: `${n1}/${d1} ${operation} ${n2}/${d2}`,
+      answer: this.formatFraction(numerator, denominator),
+      complexity: this.calculateComplexity(Math.max(d1, d2), Math.min(d1, d2), operation, 'fraction')
+    };
+  }
+
+  // Decimal addition, subtraction and multiplication
+  generateDecimalQuestion(difficulty) {
+    const scale = difficulty === 'hard' ? 100 : 10;
+    const operation = difficulty === 'hard' ? this.pick(['+', '-', '*']) : this.pick(['+', '-']);
+    const num1 = this.randomInt(1, scale * 2) / 10;
+    const num2 = operation === '*' ? this.randomInt(2, 9) : this.randomInt(1, scale * 2) / 10;
+    const answer = operation === '+' ? num1 + num2 : operation === '-' ? num1 - num2 : num1 * num2;
+
+    return {
+      question: `${num1} ${operation} ${num2}`,
+      answer: this.formatNumber(answer),
+      complexity: this.calculateComplexity(num1, num2, operation, 'decimal'),
+      tolerance: 0.01 // Allow rounding to two decimal places
+    };
+  }
+
+  // "x% of n" with whole-number answers
+  generatePercentageQuestion(difficulty) {
+    const percents = difficulty === 'hard' ? [5, 15, 30, 35, 40, 45, 60, 75, 90] : [10, 20, 25, 50];
+    const percent = this.pick(percents);
+    const base = this.randomInt(1, difficulty === 'hard' ? 20 : 10) * 20;
+    // Friendly percentages are really halving/quartering, not multiplication
+    const operation = difficulty === 'hard' ? '*' : '+';
+
+    return {
+      question: `${percent}% of ${base}`,
+      answer: this.formatNumber(percent * base / 100),
+      complexity: this.calculateComplexity(percent, 0, operation, 'percentage')
+    };
+  }
+
+  // Squares, cubes and perfect square roots
+  generatePowerQuestion(difficulty) {
+    const kind = difficulty === 'hard' ? this.pick(['square', 'cube', 'root']) : this.pick(['square', 'root']);
+    let question, answer, base;
+    
+    if (kind === 'square') {
+      base = this.randomInt(2, difficulty === 'hard' ? 20 : 12);
+      question = `${base}^2`;
+      answer = base * base;
+    } else if (kind === 'cube') {
+      base = this.randomInt(2, 6);
+      question = `${base}^3`;
+      answer = base * base * base;
+    } else {
+      base = this.randomInt(2, difficulty === 'hard' ? 20 : 12);
+      question = `√${base * base}`;
+      answer = base;
+    }
+
+    return {
+      question,
+      answer,
+      complexity: this.calculateComplexity(base, 0, difficulty === 'hard' ? '*' : '+', 'power')
+    };
+  }
+
+  // Arithmetic involving negative numbers
+  generateNegativeQuestion(difficulty) {
+    const range = difficulty === 'easy' ? 10 : difficulty === 'medium' ? 20 : 50;
+    const operation = difficulty === 'easy' ? this.pick(['+', '-']) : this.pick(['+', '-', '*']);
+    const num1 = -this.randomInt(1, range);
+    const num2 = (this.random() > 0.5 ? -1 : 1) * this.randomInt(1, operation === '*' ? 12 : range);
+
+    return {
+      question: `${num1} ${operation} ${this.formatOperand(num2)}`,
+      answer: this.calculateAnswer(num1, num2, operation),
+      complexity: this.calculateComplexity(Math.abs(num1), Math.abs(num2), operation, 'negative')
+    };
+  }
+
+  // Simple linear equations - solve for x
+  generateEquationQuestion(difficulty) {
+    const x = difficulty === 'hard' ? this.randomInt(-10, 12) : this.randomInt(1, 12);
+    const a = difficulty === 'medium' ? 1 : this.randomInt(2, 9);
+    const b = this.randomInt(1, difficulty === 'hard' ? 30 : 20);
+    const operation = this.random() > 0.5 ? '+' : '-';
+    const c = operation === '+' ? a * x + b : a * x - b;
+    const term = a === 1 ? 'x' : `${a}x`;
+
+    return {
+      question: `${term} ${operation} ${b} = ${c}`,
+      answer: x,
+      complexity: this.calculateComplexity(Math.abs(c), a, a === 1 ? '+' : '*', 'equation')
+    };
+  }
+
+  // Helpers for question generation
+  randomInt(min, max) {
+    return Math.floor(this.random() * (max - min + 1)) + min;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  pickWeighted(items, weights) {
+    const total = items.reduce((sum, item) => sum + (weights[item] || 1), 0);
+    let roll = this.random() * total;
+    
+    for (const item of items) {
+      roll -= weights[item] || 1;
+      if (roll < 0) return item;
+    }
+    return items[items.length - 1];
+  }
+
+  formatOperand(num) {
+    return num < 0 ? `(${num})` : `${num}`;
+  }
+
+  // Round away floating point noise (0.1 + 0.2 -> 0.3)
+  formatNumber(num) {
+    return Number(num.toFixed(2)).toString();
+  }
+
+  formatFraction(numerator, denominator) {
+    if (numerator === 0) return '0';
+    
+    const divisor = this.gcd(Math.abs(numerator), Math.abs(denominator));
+    const n = numerator / divisor;
+    const d = denominator / divisor;
+    return d === 1 ? `${n}` : `${n}/${d}`;
+  }
+
+  gcd(a, b) {
+    return b === 0 ? a : this.gcd(b, a % b);
+  }
+
   calculateAnswer(num1, num2, operation) {
     switch (operation) {
       case '+': return num1 + num2;
       case '-': return num1 - num2;
       case '*': return num1 * num2;
-      case '/': return Math.floor(num1 / num2);
+      case '/': return num2 === 0 ? 0 : Number((num1 / num2).toFixed(2));
       default: return 0;
     }
   }
 
   generateFallbackQuestion() {
-    const operation = Math.random() > 0.5 ? '+' : '-';
-    const num1 = Math.floor(Math.random() * 20) + 1;
-    const num2 = Math.floor(Math.random() * 20) + 1;
+    const operation = this.random() > 0.5 ? '+' : '-';
+    const num1 = Math.floor(this.random() * 20) + 1;
+    const num2 = Math.floor(this.random() * 20) + 1;
     const question = `${num1} ${operation} ${num2}`;
     const answer = this.calculateAnswer(num1, num2, operation);
 
@@ -194,6 +605,9 @@ class MLQuestionGenerator {
 
     const history = this.playerPerformanceHistory.get(playerId);
     
+    // Features use the player's state from before this answer
+    const features = this.buildFeatures(history, question);
+    
     // Update accuracy (exponential moving average)
     history.accuracy = 0.9 * history.accuracy + 0.1 * (isCorrect ? 1 : 0);
     
@@ -217,17 +631,37 @@ class MLQuestionGenerator {
     
     // Store question difficulty for model retraining
     this.questionDifficultyHistory.push({
-      question,
+      playerId,
+      question: question.question,
+      questionType: question.type,
       difficulty: question.complexity,
       playerAccuracy: history.accuracy,
+      features,
+      correct: isCorrect,
+      success: this.isSuccessfulOutcome(isCorrect, responseTime, question.complexity) ? 1 : 0,
       responseTime,
       timestamp: Date.now()
     });
+    this.samplesRecorded++;
 
     // Keep only last 1000 records
     if (this.questionDifficultyHistory.length > 1000) {
       this.questionDifficultyHistory.shift();
     }
+    
+    this.store.savePerformance(playerId, history);
+    this.store.saveDifficultyHistory(this.questionDifficultyHistory);
+  }
+
+  // Answers recorded by other nodes sharing the store
+  applyRemoteChange({ collection, id, value }) {
+    if (collection === 'performance') {
+      this.playerPerformanceHistory.set(id, value);
+    } else if (collection === 'difficultyHistory') {
+      this.questionDifficultyHistory.push(...value);
+      this.questionDifficultyHistory.splice(0, Math.max(0, this.questionDifficultyHistory.length - 1000));
+      this.samplesRecorded += value.length;
+    }
   }
 
   getPlayerStats(playerId) {
@@ -239,30 +673,159 @@ class MLQuestionGenerator {
     };
   }
 
+  // Training rows from observed outcomes (older records without features are skipped)
+  getTrainingSet() {
+    const records = this.questionDifficultyHistory
+      .filter(record => record.features && record.features.length === FEATURE_SCHEMA.length);
+    
+    return {
+      features: records.map(record => record.features),
+      labels: records.map(record => record.success)
+    };
+  }
+
+  // Train a candidate on older answers, evaluate it on the most recent ones
+  // and only replace the current model if it isn't worse
   retrainModel() {
-    if (this.questionDifficultyHistory.length < 50) return;
+    const split = this.prepareRetrain();
+    if (split.report) return split.report;
     
     try {
-      const newTrainingData = this.questionDifficultyHistory.map(record => [
-        record.difficulty,
-        record.playerAccuracy,
-        record.responseTime / 30,
-        Math.random(),
-        record.timestamp / 1000000 // Normalize timestamp
-      ]);
-      
-      const newLabels = this.questionDifficultyHistory.map(record => 
-        record.difficulty > 0.7 ? 'hard' : record.difficulty > 0.4 ? 'medium' : 'easy'
-      );
+      return this.applyRetrain(split, this.trainCandidate(split, this.trained ? this.randomForest : null));
+    } catch (error) {
+      console.error('Error retraining model:', error);
+      return { accepted: false, reason: 'error', error: error.message };
+    }
+  }
+
+  // Same as retrainModel, but training and evaluation run on a worker thread
+  // so live games keep going while the forest is built
+  async retrainModelInBackground() {
+    if (this.retraining) return { accepted: false, reason: 'alreadyRunning' };
+    if (this.trained && this.samplesRecorded === this.samplesAtLastRetrain) {
+      return { accepted: false, reason: 'noNewData' };
+    }
+    if (!this.runTask) return this.retrainModel();
+    
+    const split = this.prepareRetrain();
+    if (split.report) return split.report;
+    
+    this.retraining = true;
+    try {
+      // Models cross the thread boundary as JSON text - structured cloning
+      // would strip the matrix classes inside the trees
+      const result = await this.runTask('trainForest', {
+        ...split,
+        previousModel: this.trained ? JSON.stringify(this.randomForest) : null
+      }, { priority: 'low', timeout: RETRAIN_TIMEOUT });
       
-      const X = new Matrix(newTrainingData);
-      this.randomForest.train(X, newLabels);
-      console.log('ML model retrained with new data');
+      return this.applyRetrain(split, { ...result, candidate: RandomForestClassifier.load(JSON.parse(result.model)) });
     } catch (error) {
       console.error('Error retraining model:', error);
+      return { accepted: false, reason: 'error', error: error.message };
+    } finally {
+      this.retraining = false;
     }
   }
 
+  // Split the training set into training and holdout rows, or explain why
+  // there's nothing to train on yet ({ report })
+  prepareRetrain() {
+    const { features, labels } = this.getTrainingSet();
+    if (features.length < MIN_TRAINING_RECORDS) {
+      return { report: { accepted: false, reason: 'notEnoughData', records: features.length } };
+    }
+    
+    const holdoutSize = Math.max(1, Math.floor(features.length * HOLDOUT_FRACTION));
+    const trainLabels = labels.slice(0, -holdoutSize);
+    
+    // A classifier needs both outcomes to learn anything
+    if (new Set(trainLabels).size < 2) {
+      return { report: { accepted: false, reason: 'singleClass', records: features.length } };
+    }
+    
+    return {
+      samplesRecorded: this.samplesRecorded,
+      trainFeatures: features.slice(0, -holdoutSize),
+      trainLabels,
+      holdoutFeatures: features.slice(-holdoutSize),
+      holdoutLabels: labels.slice(-holdoutSize)
+    };
+  }
+
+  // The CPU-heavy part of a retrain - also what the worker thread runs
+  trainCandidate(split, previousForest) {
+    const startTime = Date.now();
+    const candidate = this.createForest();
+    candidate.train(new Matrix(split.trainFeatures), split.trainLabels);
+    
+    return {
+      candidate,
+      metrics: this.evaluateModel(candidate, split.holdoutFeatures, split.holdoutLabels),
+      previousMetrics: previousForest ?
+        this.evaluateModel(previousForest, split.holdoutFeatures, split.holdoutLabels) : null,
+      duration: Date.now() - startTime
+    };
+  }
+
+  applyRetrain(split, { candidate, metrics, previousMetrics, duration }) {
+    this.lastRetrain = { timestamp: Date.now(), duration, metrics, previousMetrics };
+    this.samplesAtLastRetrain = split.samplesRecorded;
+    
+    if (previousMetrics && metrics.logLoss > previousMetrics.logLoss + ROLLBACK_TOLERANCE) {
+      console.log(`ML retrain rejected: log-loss ${metrics.logLoss.toFixed(3)} vs ${previousMetrics.logLoss.toFixed(3)} - keeping v${this.modelVersion}`);
+      return { accepted: false, reason: 'worseThanCurrent', version: this.modelVersion, metrics, previousMetrics, duration };
+    }
+    
+    this.randomForest = candidate;
+    this.trained = true;
+    this.modelMetrics = metrics;
+    
+    if (this.modelRegistry) {
+      const entry = this.modelRegistry.save(candidate.toJSON(), {
+        featureSchema: FEATURE_SCHEMA,
+        trainingRecords: split.trainLabels.length,
+        holdoutRecords: split.holdoutLabels.length,
+        metrics,
+        previousVersion: this.modelVersion
+      });
+      this.modelVersion = entry.version;
+    } else {
+      this.modelVersion = (this.modelVersion || 0) + 1;
+    }
+    
+    console.log(`ML model v${this.modelVersion} trained on ${split.trainLabels.length} answers (accuracy ${(metrics.accuracy * 100).toFixed(1)}%, log-loss ${metrics.logLoss.toFixed(3)})`);
+    return { accepted: true, version: this.modelVersion, metrics, previousMetrics, duration };
+  }
+
+  // Accuracy and success rate of recorded answers, overall and broken down by
+  // question type and complexity - on a worker thread when one is available
+  async getAnswerAnalytics() {
+    if (!this.runTask) {
+      return MLQuestionGenerator.analyzeAnswerHistory(this.questionDifficultyHistory);
+    }
+    return this.runTask('answerAnalytics', this.questionDifficultyHistory);
+  }
+
+  static analyzeAnswerHistory(records) {
+    const summarize = group => ({
+      answers: group.length,
+      accuracy: group.filter(record => record.correct).length / group.length || 0,
+      successRate: group.filter(record => record.success).length / group.length || 0,
+      avgResponseTime: _.meanBy(group, 'responseTime') || 0
+    });
+    const complexityBand = record => record.difficulty < 0.4 ? 'low' : record.difficulty < 0.7 ? 'medium' : 'high';
+    
+    return {
+      players: new Set(records.map(record => record.playerId)).size,
+      overall: summarize(records),
+      byType: _.mapValues(_.groupBy(records, record => record.questionType || 'arithmetic'), summarize),
+      byComplexity: _.mapValues(_.groupBy(records, complexityBand), summarize),
+      from: records.length > 0 ? records[0].timestamp : null,
+      to: records.length > 0 ? records[records.length - 1].timestamp : null
+    };
+  }
+
   // Question history tracking methods
   getPlayerQuestionHistory(playerId) {
     return this.playerQuestionHistory.get(playerId) || [];
@@ -322,4 +885,6 @@ class MLQuestionGenerator {
   }
 }
 
+MLQuestionGenerator.FEATURE_SCHEMA = FEATURE_SCHEMA;
+
 module.exports = MLQuestionGenerator;
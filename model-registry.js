@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_KEEP_VERSIONS = 5;
+
+// Versioned snapshots of trained models on disk. Each version is stored as
+// model-v<N>.json alongside a manifest that records which version is active.
+// Only the newest `keepVersions` snapshots are kept, plus the active one and
+// the version before it so there is always something to roll back to.
+class ModelRegistry {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.keepVersions = options.keepVersions || DEFAULT_KEEP_VERSIONS;
+    this.manifestPath = path.join(directory, 'manifest.json');
+    this.manifest = this.loadManifest();
+  }
+
+  loadManifest() {
+    try {
+      if (fs.existsSync(this.manifestPath)) {
+        return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error reading model manifest ${this.manifestPath}:`, error);
+    }
+    return { activeVersion: null, versions: [] };
+  }
+
+  saveManifest() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const tempPath = `${this.manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.manifest, null, 2));
+    fs.renameSync(tempPath, this.manifestPath);
+  }
+
+  getModelPath(version) {
+    return path.join(this.directory, `model-v${version}.json`);
+  }
+
+  // Store a new snapshot and return its metadata
+  save(model, metadata = {}, activate = true) {
+    const version = this.manifest.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+    const entry = {
+      ...metadata,
+      version,
+      createdAt: new Date().toISOString(),
+      file: path.basename(this.getModelPath(version))
+    };
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.getModelPath(version), JSON.stringify({ metadata: entry, model }));
+
+    this.manifest.versions.push(entry);
+    if (activate) {
+      this.manifest.activeVersion = version;
+    }
+    const removed = this.prune();
+    this.saveManifest();
+    this.deleteSnapshots(removed);
+    return entry;
+  }
+
+  // Drop old versions from the manifest and return them
+  prune() {
+    const keep = new Set(this.manifest.versions
+      .map(entry => entry.version)
+      .sort((a, b) => b - a)
+      .slice(0, this.keepVersions));
+
+    const active = this.getActiveMetadata();
+    if (active) {
+      keep.add(active.version);
+      const predecessor = this.getPredecessor(active);
+      if (predecessor) keep.add(predecessor.version);
+    }
+
+    const removed = this.manifest.versions.filter(entry => !keep.has(entry.version));
+    this.manifest.versions = this.manifest.versions.filter(entry => keep.has(entry.version));
+    return removed;
+  }
+
+  // The version a snapshot replaced, or failing that the one saved before it
+  getPredecessor(entry) {
+    const previous = this.manifest.versions.find(other => other.version === entry.previousVersion);
+    if (previous) return previous;
+
+    return this.manifest.versions
+      .filter(other => other.version < entry.version)
+      .reduce((latest, other) => (!latest || other.version > latest.version ? other : latest), null);
+  }
+
+  // Files go after the manifest is saved, so it never lists a missing snapshot
+  deleteSnapshots(entries) {
+    for (const entry of entries) {
+      try {
+        fs.rmSync(this.getModelPath(entry.version), { force: true });
+      } catch (error) {
+        console.error(`Error removing model v${entry.version}:`, error);
+      }
+    }
+  }
+
+  load(version) {
+    const modelPath = this.getModelPath(version);
+    if (!fs.existsSync(modelPath)) return null;
+    return JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+  }
+
+  loadActive() {
+    if (!this.manifest.activeVersion) return null;
+
+    try {
+      return this.load(this.manifest.activeVersion);
+    } catch (error) {
+      console.error(`Error loading model v${this.manifest.activeVersion}:`, error);
+      return null;
+    }
+  }
+
+  // Point the active version at an earlier snapshot
+  setActive(version) {
+    if (!this.manifest.versions.some(entry => entry.version === version)) {
+      throw new Error(`Unknown model version: ${version}`);
+    }
+    this.manifest.activeVersion = version;
+    this.saveManifest();
+  }
+
+  getActiveMetadata() {
+    return this.manifest.versions.find(entry => entry.version === this.manifest.activeVersion) || null;
+  }
+
+  list() {
+    return this.manifest.versions.map(entry => ({
+      ...entry,
+      active: entry.version === this.manifest.activeVersion
+    }));
+  }
+}
+
+module.exports = ModelRegistry;
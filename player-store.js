@@ -0,0 +1,511 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Per-player answer history is capped to keep the store file small
+const MAX_ANSWERS_PER_PLAYER = 500;
+const MAX_DIFFICULTY_RECORDS = 1000;
+const MAX_GAME_RECORDS = 200;
+const MAX_DAILY_CHALLENGE_DAYS = 30;
+const DEFAULT_PREFIX = 'mathrace:';
+
+// In-memory player storage (used for tests and the demo script)
+class MemoryPlayerStore {
+  constructor() {
+    this.profiles = new Map();
+    this.scores = new Map();
+    this.answers = new Map();
+    this.performance = new Map();
+    this.ratings = new Map();
+    this.games = new Map();
+    this.dailyResults = new Map(); // date -> { playerId: result }
+    this.difficultyHistory = [];
+  }
+
+  // Player profiles
+  getProfile(playerId) {
+    return this.profiles.get(playerId) || null;
+  }
+
+  saveProfile(playerId, profile) {
+    this.profiles.set(playerId, { ...profile, playerId });
+    this.markDirty();
+  }
+
+  touchProfile(playerId, updates = {}) {
+    const now = Date.now();
+    const existing = this.profiles.get(playerId) || { playerId, createdAt: now };
+    const profile = { ...existing, ...updates, lastSeen: now };
+    this.profiles.set(playerId, profile);
+    this.markDirty();
+    return profile;
+  }
+
+  findProfileByToken(token) {
+    for (const profile of this.profiles.values()) {
+      if (profile.token === token) return profile;
+    }
+    return null;
+  }
+
+  // ScoringSystem stats
+  getScores(playerId) {
+    return this.scores.get(playerId) || null;
+  }
+
+  saveScores(playerId, stats) {
+    this.scores.set(playerId, stats);
+    this.markDirty();
+  }
+
+  getAllScores() {
+    return new Map(this.scores);
+  }
+
+  deleteScores(playerId) {
+    this.scores.delete(playerId);
+    this.markDirty();
+  }
+
+  // RatingSystem skill ratings
+  getRating(playerId) {
+    return this.ratings.get(playerId) || null;
+  }
+
+  saveRating(playerId, rating) {
+    this.ratings.set(playerId, rating);
+    this.markDirty();
+  }
+
+  getAllRatings() {
+    return new Map(this.ratings);
+  }
+
+  // Recorded games (question sequence and every answer), oldest dropped first
+  saveGameRecord(record) {
+    this.games.set(record.gameId, record);
+    while (this.games.size > MAX_GAME_RECORDS) {
+      this.games.delete(this.games.keys().next().value);
+    }
+    this.markDirty();
+  }
+
+  getGameRecord(gameId) {
+    return this.games.get(gameId) || null;
+  }
+
+  getPlayerGames(playerId) {
+    return Array.from(this.games.values())
+      .filter(record => record.players[playerId]);
+  }
+
+  // Daily challenge results, oldest days dropped first
+  getDailyResult(date, playerId) {
+    const results = this.dailyResults.get(date);
+    return results ? results[playerId] || null : null;
+  }
+
+  saveDailyResult(date, playerId, result) {
+    const results = this.dailyResults.get(date) || {};
+    results[playerId] = result;
+    this.dailyResults.set(date, results);
+    while (this.dailyResults.size > MAX_DAILY_CHALLENGE_DAYS) {
+      this.dailyResults.delete(this.dailyResults.keys().next().value);
+    }
+    this.markDirty();
+  }
+
+  getDailyResults(date) {
+    return Object.values(this.dailyResults.get(date) || {});
+  }
+
+  // Per-answer history
+  appendAnswer(playerId, record) {
+    if (!this.answers.has(playerId)) {
+      this.answers.set(playerId, []);
+    }
+
+    const history = this.answers.get(playerId);
+    history.push({ ...record, timestamp: record.timestamp || Date.now() });
+    if (history.length > MAX_ANSWERS_PER_PLAYER) {
+      history.shift();
+    }
+    this.markDirty();
+  }
+
+  getAnswers(playerId, limit = MAX_ANSWERS_PER_PLAYER) {
+    const history = this.answers.get(playerId) || [];
+    return history.slice(-limit);
+  }
+
+  // MLQuestionGenerator performance state
+  getPerformance(playerId) {
+    return this.performance.get(playerId) || null;
+  }
+
+  savePerformance(playerId, state) {
+    this.performance.set(playerId, state);
+    this.markDirty();
+  }
+
+  getAllPerformance() {
+    return new Map(this.performance);
+  }
+
+  getDifficultyHistory() {
+    return this.difficultyHistory.slice();
+  }
+
+  saveDifficultyHistory(records) {
+    this.difficultyHistory = records.slice(-MAX_DIFFICULTY_RECORDS);
+    this.markDirty();
+  }
+
+  // Persistence hooks (no-ops for the in-memory store)
+  async open() {}
+
+  markDirty() {}
+
+  flush() {}
+
+  close() {}
+
+  // Called with { collection, id, value } for changes made by other processes
+  // sharing the store - never, for a store of its own
+  onRemoteChange(listener) {}
+}
+
+// JSON file backed store - keeps everything in memory and writes it out
+// shortly after each change so a restart picks up where we left off
+class FilePlayerStore extends MemoryPlayerStore {
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.saveDelay = options.saveDelay || 1000;
+    this.saveTimer = null;
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.profiles = new Map(Object.entries(data.profiles || {}));
+      this.scores = new Map(Object.entries(data.scores || {}));
+      this.answers = new Map(Object.entries(data.answers || {}));
+      this.performance = new Map(Object.entries(data.performance || {}));
+      this.ratings = new Map(Object.entries(data.ratings || {}));
+      this.games = new Map(Object.entries(data.games || {}));
+      this.dailyResults = new Map(Object.entries(data.dailyResults || {}));
+      this.difficultyHistory = data.difficultyHistory || [];
+      console.log(`Loaded ${this.profiles.size} player profiles from ${this.filePath}`);
+    } catch (error) {
+      console.error(`Error loading player store ${this.filePath}:`, error);
+    }
+  }
+
+  markDirty() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+
+    // Don't keep the process alive just to save
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const data = {
+      profiles: Object.fromEntries(this.profiles),
+      scores: Object.fromEntries(this.scores),
+      answers: Object.fromEntries(this.answers),
+      performance: Object.fromEntries(this.performance),
+      ratings: Object.fromEntries(this.ratings),
+      games: Object.fromEntries(this.games),
+      dailyResults: Object.fromEntries(this.dailyResults),
+      difficultyHistory: this.difficultyHistory
+    };
+
+    try {
+      // Write to a temp file first so a crash mid-write can't corrupt the store
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Error saving player store ${this.filePath}:`, error);
+    }
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+// Collections kept as one Redis hash each, by player or game id
+const HASH_COLLECTIONS = ['profiles', 'scores', 'ratings', 'performance', 'games'];
+
+function parseHash(hash) {
+  return Object.entries(hash).map(([field, value]) => [field, JSON.parse(value)]);
+}
+
+// Store shared by every node pointed at the same Redis. Each node keeps a full
+// copy in memory so reads stay synchronous: changes are written through to
+// Redis and announced, and other nodes apply them to their copy. Concurrent
+// writes to the same record from two nodes are last-write-wins. `client` is
+// an ioredis client or one with the same API.
+class RedisPlayerStore extends MemoryPlayerStore {
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.prefix = options.prefix || DEFAULT_PREFIX;
+    this.ownsClient = !!options.ownsClient;
+    this.origin = crypto.randomBytes(8).toString('hex'); // Tells our own announcements apart
+    this.subscriber = null;
+    this.listeners = [];
+    this.pendingWrites = new Set();
+    this.storedRecords = new WeakSet(); // Difficulty records already in Redis
+  }
+
+  key(...parts) {
+    return this.prefix + ['players', ...parts].join(':');
+  }
+
+  // Load everything, then follow the changes other nodes announce
+  async open() {
+    const [hashes, dates, answerPlayerIds, difficultyHistory] = await Promise.all([
+      Promise.all(HASH_COLLECTIONS.map(collection => this.client.hgetall(this.key(collection)))),
+      this.client.smembers(this.key('daily', 'index')),
+      this.client.smembers(this.key('answers', 'index')),
+      this.client.lrange(this.key('difficultyHistory'), 0, -1)
+    ]);
+    dates.sort();
+    const [dailyResults, answers] = await Promise.all([
+      Promise.all(dates.map(date => this.client.hgetall(this.key('daily', date)))),
+      Promise.all(answerPlayerIds.map(playerId => this.client.lrange(this.key('answers', playerId), 0, -1)))
+    ]);
+
+    HASH_COLLECTIONS.forEach((collection, index) => {
+      const entries = parseHash(hashes[index]);
+      if (collection === 'games') {
+        entries.sort((a, b) => a[1].endedAt - b[1].endedAt); // Oldest are dropped first
+      }
+      this[collection] = new Map(entries);
+    });
+    this.dailyResults = new Map(dates.map((date, index) => [date, Object.fromEntries(parseHash(dailyResults[index]))]));
+    this.answers = new Map(answerPlayerIds.map((playerId, index) =>
+      [playerId, answers[index].map(record => JSON.parse(record))]));
+    this.difficultyHistory = difficultyHistory.map(record => JSON.parse(record));
+    this.difficultyHistory.forEach(record => this.storedRecords.add(record));
+
+    // Anything that copied the store before it was open gets what was loaded
+    for (const collection of HASH_COLLECTIONS) {
+      for (const [id, value] of this[collection]) {
+        this.notify({ collection, id, value });
+      }
+    }
+    this.notify({ collection: 'difficultyHistory', id: null, value: this.difficultyHistory.slice() });
+
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on('error', error => console.error('Player store subscriber error:', error.message));
+    this.subscriber.on('message', (channel, message) => this.receiveChange(JSON.parse(message)));
+    await this.subscriber.subscribe(this.key('changes'));
+    console.log(`Loaded ${this.profiles.size} player profiles from Redis`);
+  }
+
+  saveProfile(playerId, profile) {
+    super.saveProfile(playerId, profile);
+    this.writeEntry('profiles', playerId);
+  }
+
+  touchProfile(playerId, updates = {}) {
+    const profile = super.touchProfile(playerId, updates);
+    this.writeEntry('profiles', playerId);
+    return profile;
+  }
+
+  saveScores(playerId, stats) {
+    super.saveScores(playerId, stats);
+    this.writeEntry('scores', playerId);
+  }
+
+  deleteScores(playerId) {
+    super.deleteScores(playerId);
+    this.writeEntry('scores', playerId);
+  }
+
+  saveRating(playerId, rating) {
+    super.saveRating(playerId, rating);
+    this.writeEntry('ratings', playerId);
+  }
+
+  savePerformance(playerId, state) {
+    super.savePerformance(playerId, state);
+    this.writeEntry('performance', playerId);
+  }
+
+  saveGameRecord(record) {
+    const dropped = this.droppedBy(this.games, () => super.saveGameRecord(record));
+    this.writeEntry('games', record.gameId, dropped.map(gameId => this.client.hdel(this.key('games'), gameId)));
+  }
+
+  saveDailyResult(date, playerId, result) {
+    const dropped = this.droppedBy(this.dailyResults, () => super.saveDailyResult(date, playerId, result));
+    this.write({ collection: 'dailyResults', id: date, playerId, value: result }, [
+      this.client.hset(this.key('daily', date), playerId, JSON.stringify(result)),
+      this.client.sadd(this.key('daily', 'index'), date),
+      ...dropped.flatMap(day => [
+        this.client.del(this.key('daily', day)),
+        this.client.srem(this.key('daily', 'index'), day)
+      ])
+    ]);
+  }
+
+  appendAnswer(playerId, record) {
+    super.appendAnswer(playerId, record);
+    const history = this.answers.get(playerId);
+    const stored = history[history.length - 1]; // With its timestamp
+    this.write({ collection: 'answers', id: playerId, value: stored }, [
+      this.client.rpush(this.key('answers', playerId), JSON.stringify(stored)),
+      this.client.ltrim(this.key('answers', playerId), -MAX_ANSWERS_PER_PLAYER, -1),
+      this.client.sadd(this.key('answers', 'index'), playerId)
+    ]);
+  }
+
+  // The question generator hands over its whole history every time, so only
+  // the records that aren't in Redis yet are appended
+  saveDifficultyHistory(records) {
+    const added = records.filter(record => !this.storedRecords.has(record));
+    super.saveDifficultyHistory(records);
+    if (added.length === 0) return;
+
+    added.forEach(record => this.storedRecords.add(record));
+    this.write({ collection: 'difficultyHistory', id: null, value: added }, [
+      this.client.rpush(this.key('difficultyHistory'), ...added.map(record => JSON.stringify(record))),
+      this.client.ltrim(this.key('difficultyHistory'), -MAX_DIFFICULTY_RECORDS, -1)
+    ]);
+  }
+
+  // Runs a change to a capped collection and returns the keys it dropped
+  droppedBy(map, change) {
+    const before = Array.from(map.keys());
+    change();
+    return before.filter(key => !map.has(key));
+  }
+
+  // Hash collections: the entry as it is now, or its removal
+  writeEntry(collection, id, commands = []) {
+    const value = this[collection].has(id) ? this[collection].get(id) : null;
+    this.write({ collection, id, value }, [
+      value === null ?
+        this.client.hdel(this.key(collection), id) :
+        this.client.hset(this.key(collection), id, JSON.stringify(value)),
+      ...commands
+    ]);
+  }
+
+  // Commands go out in order on one connection and the announcement last, so
+  // other nodes only hear of a change once it's in Redis. Failures are only
+  // logged - this node's copy already has the change.
+  write(change, commands) {
+    const written = Promise.all([
+      ...commands,
+      this.client.publish(this.key('changes'), JSON.stringify({ ...change, origin: this.origin }))
+    ]).catch(error => console.error('Error saving to player store:', error.message));
+    this.pendingWrites.add(written);
+    written.then(() => this.pendingWrites.delete(written));
+  }
+
+  // A change another node announced, applied the way the in-memory store
+  // would have applied it there
+  receiveChange(change) {
+    if (change.origin === this.origin) return;
+
+    const { collection, id, value } = change;
+    switch (collection) {
+      case 'profiles':
+      case 'scores':
+      case 'ratings':
+      case 'performance':
+        if (value === null) this[collection].delete(id);
+        else this[collection].set(id, value);
+        break;
+      case 'games':
+        MemoryPlayerStore.prototype.saveGameRecord.call(this, value);
+        break;
+      case 'dailyResults':
+        MemoryPlayerStore.prototype.saveDailyResult.call(this, id, change.playerId, value);
+        break;
+      case 'answers':
+        MemoryPlayerStore.prototype.appendAnswer.call(this, id, value);
+        break;
+      case 'difficultyHistory':
+        value.forEach(record => this.storedRecords.add(record));
+        this.difficultyHistory = this.difficultyHistory.concat(value).slice(-MAX_DIFFICULTY_RECORDS);
+        break;
+      default:
+        return;
+    }
+    this.notify(change);
+  }
+
+  onRemoteChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(change) {
+    this.listeners.forEach(listener => listener(change));
+  }
+
+  // Resolves once every change so far is in Redis
+  flush() {
+    return Promise.all(this.pendingWrites);
+  }
+
+  async close() {
+    await this.flush();
+    if (this.subscriber) await this.subscriber.quit();
+    if (this.ownsClient) await this.client.quit();
+  }
+}
+
+// Pick a store from config: 'memory', 'file' (default) or 'redis' (the
+// default with STATE_STORE=redis, sharing the shared state's client if given)
+function createPlayerStore(options = {}) {
+  const type = options.type || process.env.PLAYER_STORE ||
+    (process.env.STATE_STORE === 'redis' ? 'redis' : 'file');
+
+  if (type === 'memory') {
+    return new MemoryPlayerStore();
+  }
+
+  if (type === 'redis') {
+    let client = options.client;
+    if (!client) {
+      const Redis = require('ioredis');
+      client = new Redis(options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+      client.on('error', error => console.error('Player store connection error:', error.message));
+    }
+    return new RedisPlayerStore(client, { ...options, ownsClient: !options.client });
+  }
+
+  const filePath = options.filePath || process.env.PLAYER_STORE_PATH ||
+    path.join(__dirname, 'data', 'players.json');
+  return new FilePlayerStore(filePath, options);
+}
+
+module.exports = {
+  MemoryPlayerStore,
+  FilePlayerStore,
+  RedisPlayerStore,
+  createPlayerStore
+};
@@ -0,0 +1,178 @@
+const { MemoryPlayerStore } = require('./player-store');
+
+// Glicko-2 constants
+const GLICKO_SCALE = 173.7178;
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const DEFAULT_TAU = 0.5; // Constrains how fast volatility can change
+const CONVERGENCE_EPSILON = 0.000001;
+const RATING_PERIOD_MS = 24 * 60 * 60 * 1000; // One rating period per day of inactivity
+const PROVISIONAL_DEVIATION = 110; // Ratings less certain than this are marked provisional
+
+// Skill ratings using Glicko-2. A multiplayer game is scored as a set of
+// head-to-head results between every pair of players, based on final rank.
+class RatingSystem {
+  constructor(store = new MemoryPlayerStore(), options = {}) {
+    this.store = store;
+    this.tau = options.tau || DEFAULT_TAU;
+    this.ratingPeriodMs = options.ratingPeriodMs || RATING_PERIOD_MS;
+
+    // Bots play at a fixed rating and are never updated themselves
+    this.botRating = options.botRating || DEFAULT_RATING;
+    this.botDeviation = options.botDeviation || 100;
+  }
+
+  createRating() {
+    return {
+      rating: DEFAULT_RATING,
+      deviation: DEFAULT_DEVIATION,
+      volatility: DEFAULT_VOLATILITY,
+      gamesPlayed: 0,
+      lastPlayed: null
+    };
+  }
+
+  // Stored rating with deviation grown for the time since the last game
+  getRating(playerId, now = Date.now()) {
+    const stored = this.store.getRating(playerId) || this.createRating();
+    return { ...stored, deviation: this.decayDeviation(stored, now) };
+  }
+
+  decayDeviation(rating, now = Date.now()) {
+    if (!rating.lastPlayed) return rating.deviation;
+
+    const periods = Math.max(0, now - rating.lastPlayed) / this.ratingPeriodMs;
+    const phi = rating.deviation / GLICKO_SCALE;
+    const decayed = Math.sqrt(phi * phi + periods * rating.volatility * rating.volatility);
+    return Math.min(DEFAULT_DEVIATION, decayed * GLICKO_SCALE);
+  }
+
+  // Rounded view used in leaderboard and stats payloads
+  getRatingSummary(playerId) {
+    const rating = this.getRating(playerId);
+    return {
+      rating: Math.round(rating.rating),
+      deviation: Math.round(rating.deviation),
+      gamesPlayed: rating.gamesPlayed,
+      provisional: rating.deviation > PROVISIONAL_DEVIATION
+    };
+  }
+
+  // Update ratings from final results ({ playerId, rank, isBot, rating? }).
+  // Returns the change for each rated player.
+  updateFromResults(results, now = Date.now()) {
+    if (results.length < 2) return [];
+
+    // Everyone is rated against the ratings from before this game
+    const before = new Map(results.map(entry => [entry.playerId, entry.isBot ?
+      { rating: entry.rating || this.botRating, deviation: this.botDeviation } :
+      this.getRating(entry.playerId, now)
+    ]));
+
+    const changes = [];
+    for (const entry of results) {
+      if (entry.isBot) continue;
+
+      const opponents = results
+        .filter(other => other.playerId !== entry.playerId)
+        .map(other => ({
+          ...before.get(other.playerId),
+          score: entry.rank < other.rank ? 1 : entry.rank > other.rank ? 0 : 0.5
+        }));
+
+      const current = before.get(entry.playerId);
+      const updated = this.calculateRating(current, opponents);
+      this.store.saveRating(entry.playerId, {
+        ...updated,
+        gamesPlayed: current.gamesPlayed + 1,
+        lastPlayed: now
+      });
+
+      changes.push({
+        playerId: entry.playerId,
+        rating: Math.round(updated.rating),
+        deviation: Math.round(updated.deviation),
+        ratingChange: Math.round(updated.rating - current.rating)
+      });
+    }
+
+    return changes;
+  }
+
+  // One Glicko-2 rating period for a player against a list of opponents
+  calculateRating(player, opponents) {
+    const mu = (player.rating - DEFAULT_RATING) / GLICKO_SCALE;
+    const phi = player.deviation / GLICKO_SCALE;
+    const sigma = player.volatility;
+
+    let varianceInverse = 0;
+    let scoreSum = 0;
+    for (const opponent of opponents) {
+      const muJ = (opponent.rating - DEFAULT_RATING) / GLICKO_SCALE;
+      const g = this.g(opponent.deviation / GLICKO_SCALE);
+      const expected = 1 / (1 + Math.exp(-g * (mu - muJ)));
+      varianceInverse += g * g * expected * (1 - expected);
+      scoreSum += g * (opponent.score - expected);
+    }
+
+    const variance = 1 / varianceInverse;
+    const delta = variance * scoreSum;
+    const newSigma = this.calculateVolatility(phi, sigma, variance, delta);
+
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / variance);
+    const newMu = mu + newPhi * newPhi * scoreSum;
+
+    return {
+      rating: newMu * GLICKO_SCALE + DEFAULT_RATING,
+      deviation: Math.min(DEFAULT_DEVIATION, newPhi * GLICKO_SCALE),
+      volatility: newSigma
+    };
+  }
+
+  g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+  }
+
+  // Illinois algorithm from the Glicko-2 paper
+  calculateVolatility(phi, sigma, variance, delta) {
+    const a = Math.log(sigma * sigma);
+    const tau = this.tau;
+    const f = x => {
+      const ex = Math.exp(x);
+      const denominator = phi * phi + variance + ex;
+      return (ex * (delta * delta - phi * phi - variance - ex)) / (2 * denominator * denominator) -
+        (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + variance) {
+      B = Math.log(delta * delta - phi * phi - variance);
+    } else {
+      let k = 1;
+      while (f(a - k * tau) < 0) k++;
+      B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_EPSILON) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA = fA / 2;
+      }
+      B = C;
+      fB = fC;
+    }
+
+    return Math.exp(A / 2);
+  }
+}
+
+module.exports = RatingSystem;
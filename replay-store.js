@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_REPLAYS = 500;
+const DEFAULT_PREFIX = 'mathrace:';
+
+// Game replays: the full event log of a finished game. The index holds a
+// small summary of each replay so listing doesn't load every event log.
+class MemoryReplayStore {
+  constructor(options = {}) {
+    this.maxReplays = options.maxReplays || MAX_REPLAYS;
+    this.index = []; // Summaries, oldest first
+    this.replays = new Map();
+  }
+
+  static summarize(replay) {
+    return {
+      gameId: replay.gameId,
+      name: replay.name,
+      startedAt: replay.startedAt,
+      endedAt: replay.endedAt,
+      questionCount: replay.questionCount,
+      players: replay.players.map(player => player.playerId),
+      winner: replay.winner || null
+    };
+  }
+
+  save(replay) {
+    const dropped = this.addSummary(MemoryReplayStore.summarize(replay));
+    this.writeReplay(replay);
+    dropped.forEach(entry => this.deleteReplay(entry.gameId));
+    this.saveIndex();
+  }
+
+  // Returns the oldest summaries pushed out of the index
+  addSummary(summary) {
+    this.index = this.index.filter(entry => entry.gameId !== summary.gameId);
+    this.index.push(summary);
+    return this.index.splice(0, Math.max(0, this.index.length - this.maxReplays));
+  }
+
+  load(gameId) {
+    return this.replays.get(gameId) || null;
+  }
+
+  // Newest first, optionally only games a player took part in
+  list(options = {}) {
+    const limit = options.limit || 20;
+    return this.index
+      .filter(entry => !options.playerId || entry.players.includes(options.playerId))
+      .slice(-limit)
+      .reverse();
+  }
+
+  has(gameId) {
+    return this.index.some(entry => entry.gameId === gameId);
+  }
+
+  writeReplay(replay) {
+    this.replays.set(replay.gameId, replay);
+  }
+
+  deleteReplay(gameId) {
+    this.replays.delete(gameId);
+  }
+
+  saveIndex() {}
+
+  // Nothing to connect to or wait for, except in Redis
+  async open() {}
+
+  async close() {}
+}
+
+// One JSON file per replay plus index.json
+class FileReplayStore extends MemoryReplayStore {
+  constructor(directory, options = {}) {
+    super(options);
+    this.directory = directory;
+    this.indexPath = path.join(directory, 'index.json');
+    this.index = this.loadIndex();
+  }
+
+  loadIndex() {
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error reading replay index ${this.indexPath}:`, error);
+    }
+    return [];
+  }
+
+  saveIndex() {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      const tempPath = `${this.indexPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.index));
+      fs.renameSync(tempPath, this.indexPath);
+    } catch (error) {
+      console.error(`Error saving replay index ${this.indexPath}:`, error);
+    }
+  }
+
+  getReplayPath(gameId) {
+    // Game ids are generated server-side, but never let one escape the directory
+    return path.join(this.directory, `${path.basename(String(gameId))}.json`);
+  }
+
+  load(gameId) {
+    if (!this.has(gameId)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(this.getReplayPath(gameId), 'utf8'));
+    } catch (error) {
+      console.error(`Error loading replay ${gameId}:`, error);
+      return null;
+    }
+  }
+
+  writeReplay(replay) {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(this.getReplayPath(replay.gameId), JSON.stringify(replay));
+    } catch (error) {
+      console.error(`Error saving replay ${replay.gameId}:`, error);
+    }
+  }
+
+  deleteReplay(gameId) {
+    try {
+      fs.rmSync(this.getReplayPath(gameId), { force: true });
+    } catch (error) {
+      console.error(`Error deleting replay ${gameId}:`, error);
+    }
+  }
+}
+
+// Replays in Redis for every node. The index is copied to each node and kept
+// current by announcing new replays; event logs are only fetched when loaded,
+// so load() returns a promise here.
+class RedisReplayStore extends MemoryReplayStore {
+  constructor(client, options = {}) {
+    super(options);
+    this.client = client;
+    this.prefix = options.prefix || DEFAULT_PREFIX;
+    this.ownsClient = !!options.ownsClient;
+    this.origin = crypto.randomBytes(8).toString('hex');
+    this.subscriber = null;
+    this.pendingWrites = new Set();
+  }
+
+  key(...parts) {
+    return this.prefix + ['replays', ...parts].join(':');
+  }
+
+  async open() {
+    const index = await this.client.hgetall(this.key('index'));
+    this.index = Object.values(index)
+      .map(summary => JSON.parse(summary))
+      .sort((a, b) => a.endedAt - b.endedAt);
+
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on('error', error => console.error('Replay store subscriber error:', error.message));
+    this.subscriber.on('message', (channel, message) => {
+      const { origin, summary } = JSON.parse(message);
+      // The node that saved the replay deletes the ones it pushes out
+      if (origin !== this.origin) this.addSummary(summary);
+    });
+    await this.subscriber.subscribe(this.key('changes'));
+  }
+
+  save(replay) {
+    super.save(replay);
+    const summary = this.index[this.index.length - 1];
+    this.write([
+      this.client.hset(this.key('index'), summary.gameId, JSON.stringify(summary)),
+      this.client.publish(this.key('changes'), JSON.stringify({ origin: this.origin, summary }))
+    ]);
+  }
+
+  async load(gameId) {
+    if (!this.has(gameId)) return null;
+
+    try {
+      const replay = await this.client.get(this.key(gameId));
+      return replay ? JSON.parse(replay) : null;
+    } catch (error) {
+      console.error(`Error loading replay ${gameId}:`, error);
+      return null;
+    }
+  }
+
+  writeReplay(replay) {
+    this.write([this.client.set(this.key(replay.gameId), JSON.stringify(replay))]);
+  }
+
+  deleteReplay(gameId) {
+    this.write([this.client.del(this.key(gameId)), this.client.hdel(this.key('index'), gameId)]);
+  }
+
+  write(commands) {
+    const written = Promise.all(commands)
+      .catch(error => console.error('Error saving to replay store:', error.message));
+    this.pendingWrites.add(written);
+    written.then(() => this.pendingWrites.delete(written));
+  }
+
+  // Resolves once every replay saved so far is in Redis
+  flush() {
+    return Promise.all(this.pendingWrites);
+  }
+
+  async close() {
+    await this.flush();
+    if (this.subscriber) await this.subscriber.quit();
+    if (this.ownsClient) await this.client.quit();
+  }
+}
+
+// Same choice as the player store: 'memory', 'file' (default) or 'redis'
+function createReplayStore(options = {}) {
+  const type = options.type || process.env.REPLAY_STORE || process.env.PLAYER_STORE ||
+    (process.env.STATE_STORE === 'redis' ? 'redis' : 'file');
+
+  if (type === 'memory') {
+    return new MemoryReplayStore(options);
+  }
+
+  if (type === 'redis') {
+    let client = options.client;
+    if (!client) {
+      const Redis = require('ioredis');
+      client = new Redis(options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+      client.on('error', error => console.error('Replay store connection error:', error.message));
+    }
+    return new RedisReplayStore(client, { ...options, ownsClient: !options.client });
+  }
+
+  const directory = options.directory || process.env.REPLAY_DIR ||
+    path.join(__dirname, 'data', 'replays');
+  return new FileReplayStore(directory, options);
+}
+
+module.exports = {
+  MemoryReplayStore,
+  FileReplayStore,
+  RedisReplayStore,
+  createReplayStore
+};
@@ -0,0 +1,483 @@
+const express = require('express');
+const ScoringSystem = require('./scoring-system');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PERFORMANCE_TRENDS = ['improving', 'stable', 'declining'];
+
+// JSON Schemas (draft-07) for every response, served from /api/v1/schemas
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['status', 'code', 'message'],
+      properties: {
+        status: { type: 'integer' },
+        code: { type: 'string', enum: ['invalid_parameter', 'not_found', 'unavailable', 'internal_error'] },
+        message: { type: 'string' },
+        parameter: { type: 'string' }
+      }
+    }
+  }
+};
+
+const RATING_PROPERTIES = {
+  rating: { type: 'integer' },
+  deviation: { type: 'integer' },
+  gamesPlayed: { type: 'integer' },
+  provisional: { type: 'boolean' }
+};
+
+const ROOM_SCHEMA = {
+  type: 'object',
+  required: ['roomId', 'name', 'playerCount', 'maxPlayers', 'gameState'],
+  properties: {
+    roomId: { type: 'string' },
+    name: { type: 'string' },
+    playerCount: { type: 'integer' },
+    maxPlayers: { type: 'integer' },
+    questionCount: { type: 'integer' },
+    timeLimit: { type: 'integer' },
+    seed: { type: ['integer', 'string', 'null'] },
+    hasPassword: { type: 'boolean' },
+    gameState: { type: 'string', enum: ['waiting', 'playing', 'finished'] },
+    round: { type: 'integer' },
+    spectatorCount: { type: 'integer' },
+    createdAt: { type: 'integer' }
+  }
+};
+
+const ANSWER_GROUP_SCHEMA = {
+  type: 'object',
+  properties: {
+    answers: { type: 'integer' },
+    accuracy: { type: 'number', minimum: 0, maximum: 1 },
+    successRate: { type: 'number', minimum: 0, maximum: 1, description: 'Correct and not too slow' },
+    avgResponseTime: { type: 'number' }
+  }
+};
+
+const SCHEMAS = {
+  error: ERROR_SCHEMA,
+
+  leaderboard: {
+    type: 'object',
+    required: ['total', 'limit', 'offset', 'players'],
+    properties: {
+      total: { type: 'integer', description: 'Players matching the filters' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      players: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['rank', 'playerId', 'rating'],
+          properties: {
+            rank: { type: 'integer', description: 'Overall rank, before filtering' },
+            playerId: { type: 'string' },
+            totalScore: { type: 'number' },
+            accuracy: { type: 'number', minimum: 0, maximum: 1 },
+            avgResponseTime: { type: 'number' },
+            performanceTrend: { type: 'string', enum: PERFORMANCE_TRENDS },
+            ...RATING_PROPERTIES
+          }
+        }
+      }
+    }
+  },
+
+  playerStats: {
+    type: 'object',
+    required: ['playerId', 'stats', 'rating'],
+    properties: {
+      playerId: { type: 'string' },
+      stats: {
+        type: 'object',
+        properties: {
+          totalScore: { type: 'number' },
+          correctAnswers: { type: 'integer' },
+          totalAnswers: { type: 'integer' },
+          accuracy: { type: 'number', minimum: 0, maximum: 1 },
+          recentAccuracy: { type: 'number', minimum: 0, maximum: 1 },
+          avgResponseTime: { type: 'number' },
+          performanceTrend: { type: 'string', enum: PERFORMANCE_TRENDS }
+        }
+      },
+      rating: { type: 'object', properties: RATING_PROPERTIES },
+      dailyStreak: {
+        type: 'object',
+        properties: {
+          current: { type: 'integer' },
+          best: { type: 'integer' },
+          lastDate: { type: ['string', 'null'] },
+          playedToday: { type: 'boolean' }
+        }
+      },
+      bestGame: {
+        type: ['object', 'null'],
+        properties: { gameId: { type: 'string' }, finalScore: { type: 'number' } }
+      },
+      quarantined: { type: 'boolean' },
+      createdAt: { type: ['integer', 'null'] },
+      lastSeen: { type: ['integer', 'null'] }
+    }
+  },
+
+  playerGames: {
+    type: 'object',
+    required: ['playerId', 'total', 'limit', 'offset', 'games'],
+    properties: {
+      playerId: { type: 'string' },
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      games: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['gameId', 'startedAt', 'rank', 'finalScore'],
+          properties: {
+            gameId: { type: 'string' },
+            startedAt: { type: 'integer' },
+            endedAt: { type: 'integer' },
+            playerCount: { type: 'integer' },
+            questionCount: { type: 'integer' },
+            rank: { type: 'integer' },
+            finalScore: { type: 'number' },
+            accuracy: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        }
+      }
+    }
+  },
+
+  game: {
+    type: 'object',
+    required: ['gameId', 'status', 'players'],
+    properties: {
+      gameId: { type: 'string' },
+      status: { type: 'string', enum: ['inProgress', 'finished'] },
+      startedAt: { type: ['integer', 'null'] },
+      endedAt: { type: ['integer', 'null'] },
+      duration: { type: 'integer', description: 'Milliseconds' },
+      totalQuestions: { type: 'integer' },
+      players: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['playerId', 'totalScore', 'questionsAnswered'],
+          properties: {
+            playerId: { type: 'string' },
+            rank: { type: ['integer', 'null'] },
+            name: { type: ['string', 'null'] },
+            isBot: { type: 'boolean' },
+            totalScore: { type: 'number' },
+            questionsAnswered: { type: 'integer' },
+            correctAnswers: { type: 'integer' },
+            accuracy: { type: 'number', minimum: 0, maximum: 1 },
+            avgResponseTime: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+
+  answerAnalytics: {
+    type: 'object',
+    required: ['players', 'overall', 'byType', 'byComplexity'],
+    properties: {
+      players: { type: 'integer' },
+      overall: ANSWER_GROUP_SCHEMA,
+      byType: { type: 'object', additionalProperties: ANSWER_GROUP_SCHEMA },
+      byComplexity: {
+        type: 'object',
+        properties: { low: ANSWER_GROUP_SCHEMA, medium: ANSWER_GROUP_SCHEMA, high: ANSWER_GROUP_SCHEMA }
+      },
+      from: { type: ['integer', 'null'] },
+      to: { type: ['integer', 'null'] }
+    }
+  },
+
+  rooms: {
+    type: 'object',
+    required: ['rooms', 'liveRooms'],
+    properties: {
+      rooms: { type: 'array', items: ROOM_SCHEMA, description: 'Public rooms waiting for players' },
+      liveRooms: { type: 'array', items: ROOM_SCHEMA, description: 'Public games in progress' }
+    }
+  }
+};
+
+for (const [name, schema] of Object.entries(SCHEMAS)) {
+  schema.$schema = 'http://json-schema.org/draft-07/schema#';
+  schema.$id = `/api/v1/schemas/${name}`;
+}
+
+class ApiError extends Error {
+  constructor(status, code, message, parameter) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.parameter = parameter;
+  }
+}
+
+function sendError(res, error) {
+  res.status(error.status).json({
+    error: {
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      ...(error.parameter ? { parameter: error.parameter } : {})
+    }
+  });
+}
+
+// Query parameter parsing - anything present but malformed is a 400
+function intParam(query, name, { min = -Infinity, max = Infinity, defaultValue } = {}) {
+  if (query[name] === undefined || query[name] === '') return defaultValue;
+
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new ApiError(400, 'invalid_parameter', `${name} must be an integer ${range}`, name);
+  }
+  return value;
+}
+
+function booleanParam(query, name) {
+  if (query[name] === undefined || query[name] === '') return undefined;
+  if (query[name] === 'true') return true;
+  if (query[name] === 'false') return false;
+  throw new ApiError(400, 'invalid_parameter', `${name} must be true or false`, name);
+}
+
+function enumParam(query, name, values) {
+  if (query[name] === undefined || query[name] === '') return undefined;
+  if (!values.includes(query[name])) {
+    throw new ApiError(400, 'invalid_parameter', `${name} must be one of ${values.join(', ')}`, name);
+  }
+  return query[name];
+}
+
+function pageParams(query) {
+  return {
+    limit: intParam(query, 'limit', { min: 1, max: MAX_PAGE_SIZE, defaultValue: DEFAULT_PAGE_SIZE }),
+    offset: intParam(query, 'offset', { min: 0, defaultValue: 0 })
+  };
+}
+
+// Per-player totals rebuilt from a saved game record, for games that are no
+// longer in the scoring system's memory (e.g. after a restart)
+function statsFromRecord(record) {
+  const players = Object.keys(record.players).map(playerId => {
+    const answers = record.rounds.map(round => round.answers[playerId]).filter(Boolean);
+    const correctAnswers = answers.filter(answer => answer.correct).length;
+    return {
+      playerId,
+      totalScore: answers.reduce((sum, answer) => sum + answer.score, 0),
+      questionsAnswered: answers.length,
+      correctAnswers,
+      accuracy: correctAnswers / answers.length || 0,
+      avgResponseTime: answers.reduce((sum, answer) => sum + answer.responseTime, 0) / answers.length || 0
+    };
+  });
+
+  return {
+    gameId: record.gameId,
+    players,
+    duration: record.endedAt - record.startedAt,
+    totalQuestions: record.rounds.length
+  };
+}
+
+// Versioned read-only HTTP API for dashboards and integrations, mounted at
+// /api/v1. Rooms and the cluster-wide leaderboard come through callbacks since
+// they live in server.js.
+function createRestApi({
+  scoringSystem,
+  ratingSystem,
+  playerStore,
+  dailyChallenge,
+  mlGenerator,
+  listOpenRooms,
+  listLiveRooms,
+  getLeaderboard = limit => scoringSystem.getLeaderboard(limit)
+}) {
+  const router = express.Router();
+
+  // Wraps a handler (sync or async) so ApiErrors become error responses
+  const route = handler => (req, res, next) => {
+    try {
+      Promise.resolve(handler(req, res)).catch(next);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.get('/schemas', (req, res) => {
+    res.json({ schemas: Object.keys(SCHEMAS).map(name => SCHEMAS[name].$id) });
+  });
+
+  router.get('/schemas/:name', route((req, res) => {
+    if (!Object.prototype.hasOwnProperty.call(SCHEMAS, req.params.name)) {
+      throw new ApiError(404, 'not_found', `No schema named ${req.params.name}`);
+    }
+    res.json(SCHEMAS[req.params.name]);
+  }));
+
+  // ?limit=&offset=&minRating=&maxRating=&minGames=&provisional=&trend=
+  router.get('/leaderboard', route((req, res) => {
+    const { limit, offset } = pageParams(req.query);
+    const minRating = intParam(req.query, 'minRating', { min: 0 });
+    const maxRating = intParam(req.query, 'maxRating', { min: 0 });
+    const minGames = intParam(req.query, 'minGames', { min: 0 });
+    const provisional = booleanParam(req.query, 'provisional');
+    const trend = enumParam(req.query, 'trend', PERFORMANCE_TRENDS);
+
+    const players = getLeaderboard(Infinity)
+      .map((entry, index) => ({ rank: index + 1, ...entry }))
+      .filter(entry => minRating === undefined || entry.rating >= minRating)
+      .filter(entry => maxRating === undefined || entry.rating <= maxRating)
+      .filter(entry => minGames === undefined || entry.gamesPlayed >= minGames)
+      .filter(entry => provisional === undefined || entry.provisional === provisional)
+      .filter(entry => trend === undefined || entry.performanceTrend === trend);
+
+    res.json({
+      total: players.length,
+      limit,
+      offset,
+      players: players.slice(offset, offset + limit)
+    });
+  }));
+
+  const requirePlayer = playerId => {
+    const profile = playerStore.getProfile(playerId);
+    if (!profile && !playerStore.getScores(playerId)) {
+      throw new ApiError(404, 'not_found', `Player ${playerId} not found`);
+    }
+    return profile || {};
+  };
+
+  // Profiles hold the reconnect token, so only selected fields go out
+  router.get('/players/:playerId/stats', route((req, res) => {
+    const { playerId } = req.params;
+    const profile = requirePlayer(playerId);
+    const stats = scoringSystem.getPlayerStats(playerId);
+
+    res.json({
+      playerId,
+      stats: {
+        totalScore: stats.totalScore,
+        correctAnswers: stats.correctAnswers,
+        totalAnswers: stats.totalAnswers,
+        accuracy: stats.correctAnswers / stats.totalAnswers || 0,
+        recentAccuracy: stats.recentAccuracy,
+        avgResponseTime: stats.avgResponseTime,
+        performanceTrend: stats.performanceTrend
+      },
+      rating: ratingSystem.getRatingSummary(playerId),
+      dailyStreak: dailyChallenge.getStreak(playerId),
+      bestGame: profile.bestGame || null,
+      quarantined: !!profile.quarantined,
+      createdAt: profile.createdAt || null,
+      lastSeen: profile.lastSeen || null
+    });
+  }));
+
+  // Game history, newest first
+  router.get('/players/:playerId/games', route((req, res) => {
+    const { playerId } = req.params;
+    requirePlayer(playerId);
+    const { limit, offset } = pageParams(req.query);
+
+    const games = playerStore.getPlayerGames(playerId)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map(record => ({
+        gameId: record.gameId,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt,
+        playerCount: Object.keys(record.players).length,
+        questionCount: record.rounds.length,
+        rank: record.players[playerId].rank,
+        finalScore: record.players[playerId].finalScore,
+        accuracy: record.players[playerId].accuracy
+      }));
+
+    res.json({ playerId, total: games.length, limit, offset, games: games.slice(offset, offset + limit) });
+  }));
+
+  // Live stats while a game is running, the saved record once it has finished
+  router.get('/games/:gameId', route((req, res) => {
+    const { gameId } = req.params;
+    const record = playerStore.getGameRecord(gameId);
+    const stats = scoringSystem.getGameStats(gameId) || (record && statsFromRecord(record));
+    if (!stats) {
+      throw new ApiError(404, 'not_found', `Game ${gameId} not found`);
+    }
+
+    const players = stats.players.map(player => {
+      const result = record ? record.players[player.playerId] : null;
+      return {
+        playerId: player.playerId,
+        rank: result ? result.rank : null,
+        name: result ? result.name : null,
+        isBot: result ? !!result.isBot : ScoringSystem.isSimulatedPlayer(player.playerId),
+        totalScore: player.totalScore,
+        questionsAnswered: player.questionsAnswered,
+        correctAnswers: player.correctAnswers,
+        accuracy: player.accuracy,
+        avgResponseTime: player.avgResponseTime
+      };
+    });
+    players.sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity) || b.totalScore - a.totalScore);
+
+    res.json({
+      gameId,
+      status: record ? 'finished' : 'inProgress',
+      startedAt: record ? record.startedAt : null,
+      endedAt: record ? record.endedAt : null,
+      duration: record ? record.endedAt - record.startedAt : stats.duration,
+      totalQuestions: record ? record.rounds.length : stats.totalQuestions,
+      players
+    });
+  }));
+
+  // Batch analytics over the ML answer history, computed on a worker thread
+  router.get('/analytics/answers', route(async (req, res) => {
+    try {
+      res.json(await mlGenerator.getAnswerAnalytics());
+    } catch (error) {
+      if (error.code === 'EQUEUEFULL') {
+        throw new ApiError(503, 'unavailable', 'Analytics are busy - try again shortly');
+      }
+      throw error;
+    }
+  }));
+
+  router.get('/rooms', (req, res) => {
+    res.json({ rooms: listOpenRooms(), liveRooms: listLiveRooms() });
+  });
+
+  router.use((req, res) => {
+    sendError(res, new ApiError(404, 'not_found', `No endpoint ${req.method} ${req.baseUrl}${req.path}`));
+  });
+
+  // Express recognises error handlers by their four arguments
+  router.use((error, req, res, next) => {
+    if (error instanceof ApiError) {
+      sendError(res, error);
+      return;
+    }
+    console.error('API error:', error);
+    sendError(res, new ApiError(500, 'internal_error', 'Internal server error'));
+  });
+
+  return router;
+}
+
+createRestApi.SCHEMAS = SCHEMAS;
+
+module.exports = createRestApi;
@@ -1,8 +1,22 @@
 const _ = require('lodash');
+const { MemoryPlayerStore } = require('./player-store');
+const RatingSystem = require('./rating-system');
+
+// Seats filled by the server rather than a person: bots from startBotGame and
+// the addBot event (GameRoom.addBotPlayer), ghosts from GameRoom.addGhostPlayer
+const SIMULATED_PLAYER_PREFIXES = ['bot_', 'ghost_'];
 
 class ScoringSystem {
-  constructor() {
-    this.playerScores = new Map();
+  constructor(store = new MemoryPlayerStore(), ratingSystem = new RatingSystem(store)) {
+    this.store = store;
+    this.ratingSystem = ratingSystem;
+    this.playerScores = store.getAllScores(); // Restore persisted player stats
+    // Stats updated by other nodes sharing the store
+    store.onRemoteChange(({ collection, id, value }) => {
+      if (collection !== 'scores') return;
+      if (value) this.playerScores.set(id, value);
+      else this.playerScores.delete(id);
+    });
     this.gameHistory = new Map();
     this.accuracyMetrics = new Map();
     this.difficultyAdjustments = new Map();
@@ -23,8 +37,9 @@ class ScoringSystem {
     this.difficultyMultiplier = 1.5;
   }
 
-  // Calculate comprehensive score for a player's answer
-  calculateScore(playerId, question, isCorrect, responseTime, gameId) {
+  // Calculate comprehensive score for a player's answer. Bot and ghost answers
+  // (options.isBot) are scored the same way but not saved to player stats.
+  calculateScore(playerId, question, isCorrect, responseTime, gameId, options = {}) {
     const playerStats = this.getPlayerStats(playerId);
     const questionDifficulty = question.complexity || 0.5;
     
@@ -63,8 +78,10 @@ class ScoringSystem {
     }
     
     // Update player statistics
-    this.updatePlayerStats(playerId, question, isCorrect, responseTime, score);
-    this.updateGameHistory(gameId, playerId, score);
+    if (!options.isBot) {
+      this.updatePlayerStats(playerId, question, isCorrect, responseTime, score);
+    }
+    this.updateGameHistory(gameId, playerId, score, isCorrect, responseTime);
     
     return Math.round(score);
   }
@@ -149,6 +166,17 @@ class ScoringSystem {
     stats.performanceTrend = this.calculatePerformanceTrend(playerId);
     
     this.playerScores.set(playerId, stats);
+    
+    // Persist stats and the individual answer
+    this.store.saveScores(playerId, stats);
+    this.store.appendAnswer(playerId, {
+      question: question.question,
+      difficulty: question.difficulty,
+      complexity: question.complexity,
+      correct: isCorrect,
+      responseTime,
+      score
+    });
   }
 
   getRecentAnswers(playerId, count) {
@@ -179,11 +207,12 @@ class ScoringSystem {
     return 'stable';
   }
 
-  updateGameHistory(gameId, playerId, score) {
+  updateGameHistory(gameId, playerId, score, isCorrect, responseTime) {
     if (!this.gameHistory.has(gameId)) {
       this.gameHistory.set(gameId, {
         players: new Map(),
         startTime: Date.now(),
+        lastAnswerTime: Date.now(),
         totalQuestions: 0
       });
     }
@@ -202,7 +231,12 @@ class ScoringSystem {
     const playerGameStats = game.players.get(playerId);
     playerGameStats.totalScore += score;
     playerGameStats.questionsAnswered++;
+    if (isCorrect) playerGameStats.correctAnswers++;
+    playerGameStats.avgResponseTime +=
+      (responseTime - playerGameStats.avgResponseTime) / playerGameStats.questionsAnswered;
     
+    game.totalQuestions = Math.max(game.totalQuestions, playerGameStats.questionsAnswered);
+    game.lastAnswerTime = Date.now();
     this.gameHistory.set(gameId, game);
   }
 
@@ -232,27 +266,52 @@ class ScoringSystem {
     return {
       gameId,
       players,
-      duration: Date.now() - game.startTime,
+      duration: game.lastAnswerTime - game.startTime,
       totalQuestions: game.totalQuestions
     };
   }
 
-  // Generate leaderboard
+  // Generate leaderboard - ranked by skill rating, not volume of play
   getLeaderboard(limit = 10) {
-    const players = Array.from(this.playerScores.entries())
-      .map(([playerId, stats]) => ({
-        playerId,
-        totalScore: stats.totalScore,
-        accuracy: stats.correctAnswers / stats.totalAnswers || 0,
-        avgResponseTime: stats.avgResponseTime,
-        performanceTrend: stats.performanceTrend
-      }))
-      .sort((a, b) => b.totalScore - a.totalScore)
+    const players = Array.from(this.playerScores.keys())
+      .filter(playerId => !this.isExcludedFromLeaderboard(playerId))
+      .map(playerId => this.getLeaderboardEntry(playerId))
+      .sort(ScoringSystem.compareLeaderboardEntries)
       .slice(0, limit);
     
     return players;
   }
 
+  getLeaderboardEntry(playerId) {
+    const stats = this.playerScores.get(playerId);
+    if (!stats) return null;
+    
+    return {
+      playerId,
+      totalScore: stats.totalScore,
+      accuracy: stats.correctAnswers / stats.totalAnswers || 0,
+      avgResponseTime: stats.avgResponseTime,
+      performanceTrend: stats.performanceTrend,
+      ...this.ratingSystem.getRatingSummary(playerId)
+    };
+  }
+
+  static compareLeaderboardEntries(a, b) {
+    return (b.rating - a.rating) || (b.totalScore - a.totalScore);
+  }
+
+  static isSimulatedPlayer(playerId) {
+    return SIMULATED_PLAYER_PREFIXES.some(prefix => String(playerId).startsWith(prefix));
+  }
+
+  // Quarantined (suspected cheating) players and bots don't appear on the
+  // leaderboard
+  isExcludedFromLeaderboard(playerId) {
+    if (ScoringSystem.isSimulatedPlayer(playerId)) return true;
+    const profile = this.store.getProfile(playerId);
+    return !!(profile && profile.quarantined);
+  }
+
   // Calculate difficulty adjustment for ML system
   getDifficultyAdjustment(playerId) {
     const stats = this.getPlayerStats(playerId);
@@ -306,6 +365,12 @@ class ScoringSystem {
   // Reset player stats (for new games)
   resetPlayerStats(playerId) {
     this.playerScores.delete(playerId);
+    this.store.deleteScores(playerId);
+  }
+
+  // Per-answer history from the player store
+  getAnswerHistory(playerId, limit = 50) {
+    return this.store.getAnswers(playerId, limit);
   }
 
   // Get comprehensive analytics
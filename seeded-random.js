@@ -0,0 +1,49 @@
+// Small seedable PRNG (mulberry32). The same seed always produces the same
+// sequence, so question sets and bot play can be reproduced and shared.
+class SeededRandom {
+  constructor(seed = Date.now()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Numbers are used as-is, strings ("2024-05-01", "cup-final") are hashed
+  static normalizeSeed(seed) {
+    // "42" typed into a form is the same seed as 42
+    if (typeof seed === 'string' && /^\d{1,9}$/.test(seed.trim())) {
+      seed = Number(seed.trim());
+    }
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Float in [0, 1), like Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Drop-in replacement for Math.random
+  toFunction() {
+    return () => this.next();
+  }
+
+  // Independent stream derived from this seed, so one consumer drawing more
+  // numbers doesn't shift what another one sees
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+}
+
+module.exports = SeededRandom;
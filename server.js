@@ -1,9 +1,28 @@
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
 const socketIo = require('socket.io');
 const MLQuestionGenerator = require('./ml-question-generator');
 const ConcurrencyManager = require('./concurrency-manager');
 const ScoringSystem = require('./scoring-system');
+const AnswerEvaluator = require('./answer-evaluator');
+const AntiCheat = require('./anti-cheat');
+const ModelRegistry = require('./model-registry');
+const RatingSystem = require('./rating-system');
+const Matchmaker = require('./matchmaker');
+const BotPlayer = require('./bot-player');
+const GhostPlayer = require('./ghost-player');
+const SeededRandom = require('./seeded-random');
+const DailyChallenge = require('./daily-challenge');
+const TournamentManager = require('./tournament-manager');
+const { createPlayerStore } = require('./player-store');
+const { createReplayStore } = require('./replay-store');
+const createRestApi = require('./rest-api');
+const CommandQueue = require('./command-queue');
+const ClusterRouter = require('./cluster-router');
+const { createSharedState } = require('./shared-state');
+const GameMetrics = require('./game-metrics');
 
 const app = express();
 const server = http.createServer(app);
@@ -14,22 +33,186 @@ const io = socketIo(server, {
   }
 });
 
+// Nodes sharing state share players and replays through Redis too. Only
+// model snapshots stay on each node, and as each node rewrites its model
+// manifest whole, nodes can't share the default directory.
+function checkClusterStores() {
+  if (process.env.STATE_STORE !== 'redis') return;
+  
+  const localStores = ['PLAYER_STORE', 'REPLAY_STORE']
+    .filter(name => process.env[name] && process.env[name] !== 'redis');
+  if (localStores.length > 0) {
+    throw new Error(`STATE_STORE=redis keeps players and replays in Redis: unset ${localStores.join(', ')}`);
+  }
+  if (!process.env.MODEL_DIR) {
+    throw new Error('STATE_STORE=redis needs its own MODEL_DIR on each node');
+  }
+}
+
 // Initialize systems
-const mlGenerator = new MLQuestionGenerator();
-const concurrencyManager = new ConcurrencyManager();
-const scoringSystem = new ScoringSystem();
+checkClusterStores();
+
+// Rooms, sessions and leaderboards other server processes can see
+const sharedState = createSharedState();
+const socketAdapter = sharedState.createAdapter();
+if (socketAdapter) {
+  io.adapter(socketAdapter);
+}
+// Players and replays go through the same Redis connection, if there is one
+const playerStore = createPlayerStore({ client: sharedState.client });
+const replayStore = createReplayStore({ client: sharedState.client });
+// Starting any of these takes a handed-over player back from the node
+// hosting their room
+const HOME_NODE_EVENTS = ['createRoom', 'joinRoom', 'spectateRoom', 'startBotGame', 'startGhostGame', 'findMatch', 'cancelMatch'];
+const clusterRouter = new ClusterRouter(io, sharedState, {
+  onRemoteConnection: handleConnection,
+  onRelease: releaseHandover,
+  localEvents: HOME_NODE_EVENTS
+});
+
+const modelRegistry = new ModelRegistry(process.env.MODEL_DIR || path.join(__dirname, 'data', 'models'));
+const concurrencyManager = new ConcurrencyManager({
+  workerPool: { size: Number(process.env.WORKER_POOL_SIZE) || undefined },
+  locks: { onWait: waited => gameMetrics.recordLockWait(waited) }
+});
+const mlGenerator = new MLQuestionGenerator({
+  store: playerStore,
+  modelRegistry,
+  runTask: (type, payload, options) => concurrencyManager.executeInThread(type, payload, options)
+});
+const gameMetrics = new GameMetrics({
+  getRooms: () => gameRooms.values(),
+  getConnectedPlayers: () => Array.from(playerSessions.values()).filter(session => !session.disconnectedAt).length,
+  getClusterPlayers: () => clusterView.players,
+  getLockStats: () => concurrencyManager.locks.getStats(),
+  getModelInfo: () => mlGenerator.getModelInfo()
+});
+const ratingSystem = new RatingSystem(playerStore);
+const scoringSystem = new ScoringSystem(playerStore, ratingSystem);
+const answerEvaluator = new AnswerEvaluator();
+const antiCheat = new AntiCheat(playerStore, scoringSystem);
+const matchmaker = new Matchmaker(concurrencyManager, ratingSystem, {
+  botFallbackMs: Number(process.env.MATCH_BOT_TIMEOUT_MS) || 30000,
+  onMatch: startMatchedGame,
+  onBotFallback: (playerId, options) => {
+    const session = playerSessions.get(playerId);
+    if (session && !session.disconnectedAt) {
+      // Pick the bot whose rating is closest to the player's
+      const botProfile = BotPlayer.profileForRating(ratingSystem.getRating(playerId).rating);
+      startBotGame(playerId, session.socket, { ...options, botProfile, fromMatchmaking: true })
+        .catch(error => console.error('Error starting bot game after matchmaking:', error));
+    }
+  }
+});
 
-// Start cleanup intervals
-concurrencyManager.startCleanupInterval();
+const dailyChallenge = new DailyChallenge(playerStore, mlGenerator, scoringSystem, {
+  answerEvaluator,
+  getQuestionTimeLimit: question =>
+    Math.round(DEFAULT_TIME_LIMIT * (DIFFICULTY_TIME_SCALE[question.difficulty] || 1)),
+  onRollover: summary => io.emit('dailyChallengeRollover', summary)
+});
+const tournamentManager = new TournamentManager(ratingSystem, {
+  onMatchReady: startTournamentMatch,
+  onUpdate: tournament => io.to(`tournament_${tournament.tournamentId}`)
+    .emit('tournamentUpdate', tournamentManager.getSummary(tournament))
+});
 
 app.get('/', (req, res) => {
   res.sendFile(__dirname + '/index.html');
 });
 
+// Available bot personalities
+app.get('/bots', (req, res) => {
+  res.json({ profiles: BotPlayer.getProfiles() });
+});
+
+// Lobby listing of public rooms that can still be joined
+app.get('/rooms', (req, res) => {
+  res.json({ rooms: listOpenRooms(), liveRooms: listLiveRooms() });
+});
+
+// Recorded games, newest first - ?playerId= for one player's games
+app.get('/replays', (req, res) => {
+  const limit = Math.min(100, Number(req.query.limit) || 20);
+  res.json({ replays: replayStore.list({ playerId: req.query.playerId, limit }) });
+});
+
+app.get('/replays/:gameId', async (req, res) => {
+  const replay = await replayStore.load(req.params.gameId);
+  if (!replay) {
+    res.status(404).json({ error: 'Replay not found' });
+    return;
+  }
+  res.json(replay);
+});
+
+// Tournaments and their bracket state
+app.get('/tournaments', (req, res) => {
+  res.json({ tournaments: tournamentManager.listTournaments() });
+});
+
+app.get('/tournaments/:tournamentId', (req, res) => {
+  const tournament = tournamentManager.getTournament(req.params.tournamentId);
+  if (!tournament) {
+    res.status(404).json({ error: 'Tournament not found' });
+    return;
+  }
+  res.json(tournamentManager.getSummary(tournament));
+});
+
+// Daily challenge summary and leaderboard, today unless ?date=YYYY-MM-DD
+app.get('/daily', (req, res) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : DailyChallenge.dateKey();
+  const limit = Math.min(100, Number(req.query.limit) || 10);
+  res.json({
+    ...dailyChallenge.getSummary(date),
+    leaderboard: dailyChallenge.getLeaderboard(date, limit)
+  });
+});
+
+// Versioned HTTP API for dashboards and integrations
+app.use('/api/v1', createRestApi({
+  scoringSystem,
+  ratingSystem,
+  playerStore,
+  dailyChallenge,
+  mlGenerator,
+  listOpenRooms,
+  listLiveRooms,
+  getLeaderboard: getClusterLeaderboard
+}));
+
 // Game state management
 const gameRooms = new Map();
 const playerSessions = new Map();
-const MAX_PLAYERS_PER_ROOM = 2;
+const clusterView = { rooms: [], leaderboard: [], players: 0 }; // Published by other nodes
+const publishedRooms = new Set();
+const publishedSessions = new Set();
+const SHARED_STATE_SYNC_MS = 5000;
+const SHARED_LEADERBOARD = 'rating';
+const SHARED_LEADERBOARD_SIZE = 100;
+const MAX_PLAYERS_PER_ROOM = 30;
+const MIN_PLAYERS_TO_START = 2;
+const DEFAULT_ROOM_CAPACITY = 2;
+const RECONNECT_GRACE_MS = 30000; // How long a dropped player keeps their seat
+const DEFAULT_TIME_LIMIT = 30; // Seconds per question before difficulty scaling
+const MIN_TIME_LIMIT = 5;
+const MAX_TIME_LIMIT = 120;
+const DIFFICULTY_TIME_SCALE = { easy: 1, medium: 1.5, hard: 2 };
+const MAX_BOTS_PER_ROOM = 5;
+const DEFAULT_QUESTION_COUNT = 10;
+const MAX_SPECTATOR_DELAY = 30; // Seconds
+const TOURNAMENT_NO_SHOW_MS = Number(process.env.TOURNAMENT_NO_SHOW_MS) || 60000; // Wait before a no-show forfeits
+const MAX_QUESTION_COUNT = 50;
+
+// Per-answer logging (answers, correct answers, timeouts) is off unless
+// DEBUG_ANSWERS is set - it's several lines per answer and gives answers away
+const DEBUG_ANSWERS = !!process.env.DEBUG_ANSWERS;
+const logAnswer = message => {
+  if (DEBUG_ANSWERS) console.log(message);
+};
+const JOIN_CODE_LENGTH = 6;
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I mix-ups
 
 // UDP-like communication features
 class UDPLikeCommunicator {
@@ -120,26 +303,155 @@ class UDPLikeCommunicator {
 
 // Game room management
 class GameRoom {
-  constructor(roomId, isBotMode = false, questionCount = 10) {
+  constructor(roomId, isBotMode = false, questionCount = 10, options = {}) {
     this.roomId = roomId;
+    this.capacity = GameRoom.clampCapacity(options.capacity);
+    this.hostId = options.hostId || null;
+    this.name = options.name || roomId;
+    this.isPrivate = options.isPrivate || false;
+    this.passwordHash = options.password ? GameRoom.hashPassword(options.password) : null;
+    this.timeLimit = GameRoom.clampTimeLimit(options.timeLimit);
+    this.questionTimeLimit = null; // Limit for the current question after scaling
+    this.roundTimer = null;
+    this.countdownTimer = null;
+    this.createdAt = Date.now();
     this.players = new Map();
     this.gameState = 'waiting'; // waiting, playing, finished
     this.currentQuestion = null;
     this.questionStartTime = null;
     this.scores = new Map();
     this.roundNumber = 0;
-    this.maxRounds = questionCount;
+    this.maxRounds = GameRoom.clampQuestionCount(questionCount);
     this.gameStartTime = null;
     this.isBotMode = isBotMode;
-    this.botPlayer = null;
-    this.botDifficulty = 0.5; // Bot's current difficulty level
+    this.bots = new Map(); // botId -> BotPlayer or GhostPlayer
+    this.completedRound = 0; // Last round whose results were sent
+    this.isRated = options.isRated !== false;
+    this.tournament = options.tournament || null; // { tournamentId, matchId, playerIds }
+    this.spectators = new Map(); // socketId -> { socket, playerId, delay, timers }
+    this.noShowTimer = null;
+    
+    // Everything that changes the game runs through this queue, one command
+    // at a time, so answers, timeouts and round transitions can't interleave
+    this.commands = new CommandQueue(roomId);
+    
+    // Recorded questions and answers, saved when the game ends
+    this.gameId = null;
+    this.rounds = [];
+    this.events = []; // Replay event log
+    
+    // Seeded rooms play a reproducible question sequence and bot answers
+    this.seed = null;
+    this.random = Math.random;
+    this.scriptedQuestions = null;
+    
+    if (options.questions) {
+      // A fixed question sequence (e.g. replaying a recorded game for a ghost race)
+      this.scriptedQuestions = options.questions;
+      this.maxRounds = options.questions.length;
+    } else {
+      this.setSeed(options.seed);
+    }
+  }
+
+  setSeed(seed) {
+    const hasSeed = seed !== undefined && seed !== null && seed !== '';
+    this.seed = hasSeed ? SeededRandom.normalizeSeed(seed) : null;
+    this.random = this.createRandom('room');
+    this.scriptedQuestions = this.seed !== null ? mlGenerator.generateSequence(this.seed, this.maxRounds) : null;
+    
+    Array.from(this.bots.values()).forEach((bot, index) => {
+      if (bot instanceof BotPlayer) {
+        bot.random = this.createRandom(`bot-${index + 1}`);
+      }
+    });
+  }
+
+  // Math.random, or an independent seeded stream per consumer in seeded rooms
+  createRandom(label) {
+    return this.seed !== null ? new SeededRandom(this.seed).fork(label).toFunction() : Math.random;
+  }
+
+  setQuestionCount(questionCount) {
+    this.maxRounds = GameRoom.clampQuestionCount(questionCount);
+    if (this.seed !== null) {
+      this.scriptedQuestions = mlGenerator.generateSequence(this.seed, this.maxRounds);
+    }
+  }
+
+  static clampCapacity(capacity) {
+    const value = parseInt(capacity) || DEFAULT_ROOM_CAPACITY;
+    return Math.max(MIN_PLAYERS_TO_START, Math.min(MAX_PLAYERS_PER_ROOM, value));
+  }
+
+  static clampQuestionCount(questionCount) {
+    const value = parseInt(questionCount) || DEFAULT_QUESTION_COUNT;
+    return Math.max(1, Math.min(MAX_QUESTION_COUNT, value));
+  }
+
+  static clampTimeLimit(timeLimit) {
+    const value = parseInt(timeLimit) || DEFAULT_TIME_LIMIT;
+    return Math.max(MIN_TIME_LIMIT, Math.min(MAX_TIME_LIMIT, value));
+  }
+
+  // The parts of a question needed to ask and check it again later
+  static recordQuestion(question) {
+    return {
+      question: question.question,
+      answer: question.answer,
+      acceptedAnswers: question.acceptedAnswers,
+      tolerance: question.tolerance,
+      complexity: question.complexity,
+      difficulty: question.difficulty,
+      type: question.type
+    };
+  }
+
+  static hashPassword(password) {
+    return crypto.createHash('sha256').update(String(password)).digest();
+  }
+
+  isFull() {
+    return this.players.size >= this.capacity;
+  }
+
+  checkPassword(password) {
+    if (!this.passwordHash) return true;
+    if (!password) return false;
+    return crypto.timingSafeEqual(this.passwordHash, GameRoom.hashPassword(password));
+  }
+
+  // Public lobby listing entry
+  getSummary() {
+    return {
+      roomId: this.roomId,
+      name: this.name,
+      playerCount: this.players.size,
+      maxPlayers: this.capacity,
+      questionCount: this.maxRounds,
+      timeLimit: this.timeLimit,
+      seed: this.seed,
+      hasPassword: !!this.passwordHash,
+      gameState: this.gameState,
+      round: this.roundNumber,
+      spectatorCount: this.spectators.size,
+      createdAt: this.createdAt
+    };
   }
 
   addPlayer(playerId, socket) {
-    if (this.players.size >= MAX_PLAYERS_PER_ROOM && !this.isBotMode) {
+    if (this.isFull() && !this.isBotMode) {
       return false;
     }
     
+    // Players can't also be watching a game
+    stopSpectating(socket);
+    
+    // First player in becomes the host
+    if (!this.hostId) {
+      this.hostId = playerId;
+    }
+    
     this.players.set(playerId, {
       socket,
       score: 0,
@@ -153,22 +465,50 @@ class GameRoom {
     return true;
   }
 
-  addBotPlayer() {
-    if (this.isBotMode && !this.botPlayer) {
-      const botId = 'bot_' + this.roomId;
-      this.botPlayer = {
-        id: botId,
-        score: 0,
-        questionsAnswered: 0,
-        correctAnswers: 0,
-        avgResponseTime: 0,
-        isReady: true,
-        difficulty: this.botDifficulty
-      };
-      this.players.set(botId, this.botPlayer);
-      return true;
+  // Bot games take up to MAX_BOTS_PER_ROOM bots; other rooms count bots against capacity
+  addBotPlayer(profileKey = BotPlayer.DEFAULT_PROFILE) {
+    if (this.isBotMode ? this.bots.size >= MAX_BOTS_PER_ROOM : this.isFull()) {
+      return null;
+    }
+    
+    const seat = this.bots.size + 1;
+    const bot = new BotPlayer(`bot_${this.roomId}_${seat}`, profileKey, { random: this.createRandom(`bot-${seat}`) });
+    const sameProfile = Array.from(this.bots.values())
+      .filter(other => other.profileKey === bot.profileKey).length;
+    if (sameProfile > 0) {
+      bot.name = `${bot.name} ${sameProfile + 1}`;
     }
-    return false;
+    
+    return this.seatBot(bot);
+  }
+
+  // Ghost that replays one player's answers from a recorded game
+  addGhostPlayer(record, playerId, name) {
+    const ghost = new GhostPlayer(`ghost_${this.roomId}`, record, playerId, { name });
+    return this.seatBot(ghost);
+  }
+
+  seatBot(bot) {
+    this.bots.set(bot.id, bot);
+    this.players.set(bot.id, {
+      score: 0,
+      questionsAnswered: 0,
+      correctAnswers: 0,
+      avgResponseTime: 0,
+      isReady: true,
+      name: bot.name,
+      botProfile: bot.profileKey
+    });
+    return bot;
+  }
+
+  getBotSummaries() {
+    return Array.from(this.bots.values()).map(bot => ({
+      botId: bot.id,
+      name: bot.name,
+      profile: bot.profileKey,
+      rating: bot.rating
+    }));
   }
 
   removePlayer(playerId) {
@@ -176,9 +516,183 @@ class GameRoom {
     if (player) {
       player.socket.leave(this.roomId);
       this.players.delete(playerId);
+      if (this.gameState === 'playing') {
+        this.recordEvent('playerLeft', { playerId });
+      }
+      
+      // Hand the host role to the next real player
+      if (this.hostId === playerId) {
+        const nextHost = Array.from(this.players.entries()).find(([id, p]) => p.socket);
+        this.hostId = nextHost ? nextHost[0] : null;
+      }
+      
+      // The leaver may have been the last one we were waiting on
+      if (this.gameState === 'playing' && this.players.size > 0) {
+        this.checkRoundComplete();
+      }
+    }
+  }
+
+  // Read-only audience. Spectators can choose to watch a few seconds behind
+  // so they can't feed answers to players in the room.
+  addSpectator(playerId, socket, delay = 0) {
+    const spectator = { socket, playerId, delay: GameRoom.clampSpectatorDelay(delay), timers: new Set() };
+    this.spectators.set(socket.id, spectator);
+    this.broadcastSpectatorCount();
+    return spectator;
+  }
+
+  removeSpectator(socketId) {
+    const spectator = this.spectators.get(socketId);
+    if (spectator) {
+      GameRoom.cancelSpectatorUpdates(spectator);
+      this.spectators.delete(socketId);
+      this.broadcastSpectatorCount();
+    }
+  }
+
+  static clampSpectatorDelay(delay) {
+    return Math.max(0, Math.min(MAX_SPECTATOR_DELAY, Number(delay) || 0));
+  }
+
+  // Delayed updates still on their way to a spectator
+  static cancelSpectatorUpdates(spectator) {
+    spectator.timers.forEach(timer => clearTimeout(timer));
+    spectator.timers.clear();
+  }
+
+  sendToSpectator(spectator, event, data) {
+    if (spectator.delay > 0) {
+      const timer = setTimeout(() => {
+        spectator.timers.delete(timer);
+        spectator.socket.emit(event, data);
+      }, spectator.delay * 1000);
+      spectator.timers.add(timer);
+    } else {
+      spectator.socket.emit(event, data);
+    }
+  }
+
+  broadcastToSpectators(event, data) {
+    for (const spectator of this.spectators.values()) {
+      this.sendToSpectator(spectator, event, data);
     }
   }
 
+  // The count isn't game state, so nobody waits for it
+  broadcastSpectatorCount() {
+    const data = { roomId: this.roomId, count: this.spectators.size };
+    this.broadcast('spectatorCount', data);
+    for (const spectator of this.spectators.values()) {
+      spectator.socket.emit('spectatorCount', data);
+    }
+  }
+
+  // Everything a spectator needs to pick up a game part way through
+  getSpectatorState() {
+    const playing = this.gameState === 'playing' && this.currentQuestion;
+    return {
+      roomId: this.roomId,
+      name: this.name,
+      gameState: this.gameState,
+      round: this.roundNumber,
+      totalRounds: this.maxRounds,
+      question: playing ? {
+        question: this.currentQuestion.question,
+        round: this.roundNumber,
+        totalRounds: this.maxRounds,
+        difficulty: this.currentQuestion.difficulty,
+        timeLimit: this.questionTimeLimit,
+        remaining: this.getTimeRemaining()
+      } : null,
+      rankings: this.getRankings(),
+      spectatorCount: this.spectators.size
+    };
+  }
+
+  getReplayPlayers() {
+    return Array.from(this.players.entries()).map(([id, player]) => ({
+      playerId: id,
+      name: player.name || null,
+      isBot: !player.socket,
+      botProfile: player.botProfile || null
+    }));
+  }
+
+  // Timestamps are ms since the game started
+  recordEvent(type, data = {}) {
+    if (!this.gameStartTime) return;
+    this.events.push({ ...data, t: Date.now() - this.gameStartTime, type });
+  }
+
+  canStart(playerId) {
+    return this.gameState === 'waiting' &&
+      this.hostId === playerId &&
+      this.players.size >= MIN_PLAYERS_TO_START;
+  }
+
+  // Players ranked by score - tied scores share a rank
+  getRankings() {
+    const ranked = Array.from(this.players.entries()).map(([id, p]) => ({
+      playerId: id,
+      score: p.score,
+      accuracy: p.questionsAnswered > 0 ? p.correctAnswers / p.questionsAnswered : 0,
+      avgResponseTime: p.avgResponseTime,
+      isBot: !p.socket,
+      ...(this.bots.has(id) ? { name: p.name, botProfile: p.botProfile } : {})
+    })).sort((a, b) => b.score - a.score);
+    
+    ranked.forEach((entry, index) => {
+      const previous = ranked[index - 1];
+      entry.rank = previous && previous.score === entry.score ? previous.rank : index + 1;
+    });
+    
+    return ranked;
+  }
+
+  hasAnsweredCurrentRound(playerId) {
+    const player = this.players.get(playerId);
+    return !!player && player.questionsAnswered >= this.roundNumber;
+  }
+
+  // Move a reconnecting player's seat over to their new socket
+  rebindPlayer(playerId, socket) {
+    const player = this.players.get(playerId);
+    if (!player) return false;
+
+    player.socket = socket;
+    socket.join(this.roomId);
+    return true;
+  }
+
+  // Snapshot of the game sent to a player resuming their session
+  getResumeState(playerId) {
+    const player = this.players.get(playerId);
+    const awaitingAnswer = this.gameState === 'playing' && this.currentQuestion &&
+      player && player.questionsAnswered < this.roundNumber;
+
+    return {
+      roomId: this.roomId,
+      gameState: this.gameState,
+      isBotMode: this.isBotMode,
+      round: this.roundNumber,
+      totalRounds: this.maxRounds,
+      question: awaitingAnswer ? {
+        question: this.currentQuestion.question,
+        difficulty: this.currentQuestion.difficulty,
+        round: this.roundNumber,
+        totalRounds: this.maxRounds,
+        timeLimit: this.questionTimeLimit,
+        elapsed: (Date.now() - this.questionStartTime) / 1000
+      } : null,
+      scores: Array.from(this.players.entries()).map(([id, p]) => ({
+        playerId: id,
+        score: p.score,
+        accuracy: p.questionsAnswered > 0 ? p.correctAnswers / p.questionsAnswered : 0
+      }))
+    };
+  }
+
   setPlayerReady(playerId) {
     const player = this.players.get(playerId);
     if (player) {
@@ -190,10 +704,37 @@ class GameRoom {
     return Array.from(this.players.values()).every(player => player.isReady);
   }
 
+  // Queue a change to the room. Methods below assume they're already running
+  // as a command; socket handlers and timers go through here.
+  run(name, fn) {
+    return this.commands.enqueue(name, fn);
+  }
+
+  // Fire-and-forget version for timers. Commands dropped because the room
+  // was destroyed in the meantime aren't errors.
+  runLater(name, fn) {
+    this.run(name, fn).catch(error => {
+      if (!this.commands.closed) {
+        console.error(`Error running ${name} in room ${this.roomId}:`, error);
+      }
+    });
+  }
+
+  scheduleStart(delay = 1000) {
+    setTimeout(() => this.runLater('startGame', () => this.startGame()), delay);
+  }
+
   startGame() {
+    if (this.gameState !== 'waiting') return;
+    
     this.gameState = 'playing';
     this.gameStartTime = Date.now();
+    clearTimeout(this.noShowTimer);
+    this.gameId = 'game_' + crypto.randomBytes(6).toString('hex');
+    this.rounds = [];
+    this.events = [];
     this.roundNumber = 0;
+    this.completedRound = 0;
     
     // Reset all player scores
     for (const player of this.players.values()) {
@@ -202,15 +743,26 @@ class GameRoom {
       player.correctAnswers = 0;
     }
     
-    // Add bot player if in bot mode
-    if (this.isBotMode) {
+    // Bot games always have at least one bot
+    if (this.isBotMode && this.bots.size === 0) {
       this.addBotPlayer();
     }
     
-    this.nextRound();
+    this.recordEvent('gameStart', {
+      players: this.getReplayPlayers(),
+      questionCount: this.maxRounds,
+      timeLimit: this.timeLimit,
+      seed: this.seed
+    });
+    this.broadcastToSpectators('gameStarting', { playerCount: this.players.size, rankings: this.getRankings() });
+    return this.nextRound(1);
   }
 
-  async nextRound() {
+  // Move on to `round`. Asking for a round that has already started (a
+  // duplicate transition) does nothing.
+  async nextRound(round) {
+    if (this.gameState !== 'playing' || round !== this.roundNumber + 1) return;
+    
     if (this.roundNumber >= this.maxRounds) {
       this.endGame();
       return;
@@ -218,76 +770,178 @@ class GameRoom {
     
     this.roundNumber++;
     
-    // Generate ONE shared question for all players with adaptive difficulty
-    // Use the average accuracy of all players to determine difficulty
-    const avgAccuracy = Array.from(this.players.values())
-      .reduce((sum, player) => sum + (player.accuracy || 0.7), 0) / this.players.size;
-    
-    const adaptiveDifficulty = mlGenerator.getAdaptiveDifficulty('shared', avgAccuracy);
-    const question = mlGenerator.generateUniqueQuestion('shared', adaptiveDifficulty);
+    // Generate ONE shared question for all players, aimed at the target
+    // success rate predicted for the real players in the room
+    let question;
+    if (this.scriptedQuestions) {
+      question = { ...this.scriptedQuestions[this.roundNumber - 1], timestamp: Date.now() };
+    } else {
+      const humanPlayerIds = Array.from(this.players.entries())
+        .filter(([id, player]) => player.socket)
+        .map(([id]) => id);
+      question = mlGenerator.selectQuestionForPlayers(humanPlayerIds, 'shared');
+    }
     
     // Store question with timestamp
     this.currentQuestion = question;
     this.questionStartTime = Date.now();
+    this.questionTimeLimit = this.getQuestionTimeLimit(question);
+    this.rounds.push({
+      round: this.roundNumber,
+      question: GameRoom.recordQuestion(question),
+      timeLimit: this.questionTimeLimit,
+      answers: {}
+    });
+    this.recordEvent('question', {
+      round: this.roundNumber,
+      question: GameRoom.recordQuestion(question),
+      timeLimit: this.questionTimeLimit
+    });
     
     // Send the SAME question to all players
+    const questionData = {
+      question: question.question,
+      round: this.roundNumber,
+      totalRounds: this.maxRounds,
+      difficulty: question.difficulty,
+      timeLimit: this.questionTimeLimit
+    };
     for (const [playerId, player] of this.players) {
       if (player.socket) { // Real player
-        player.socket.emit('newQuestion', { 
-          question: question.question, 
-          round: this.roundNumber,
-          totalRounds: this.maxRounds,
-          difficulty: question.difficulty
-        });
+        player.socket.emit('newQuestion', questionData);
+      }
+    }
+    this.broadcastToSpectators('newQuestion', questionData);
+    
+    this.startRoundTimer();
+
+    // Each bot answers after its own delay
+    for (const bot of this.bots.values()) {
+      this.simulateBotAnswer(bot, question);
+    }
+  }
+
+  // Harder questions get proportionally more time
+  getQuestionTimeLimit(question) {
+    const scale = DIFFICULTY_TIME_SCALE[question.difficulty] || 1;
+    return Math.round(this.timeLimit * scale);
+  }
+
+  getTimeRemaining() {
+    if (!this.questionStartTime || !this.questionTimeLimit) return 0;
+    const elapsed = (Date.now() - this.questionStartTime) / 1000;
+    return Math.max(0, Math.ceil(this.questionTimeLimit - elapsed));
+  }
+
+  startRoundTimer() {
+    this.stopRoundTimer();
+    const round = this.roundNumber;
+    
+    // Countdown ticks so clients stay in sync with the server clock
+    this.countdownTimer = setInterval(() => {
+      const countdown = { round, remaining: this.getTimeRemaining() };
+      this.broadcast('countdown', countdown);
+      this.broadcastToSpectators('countdown', countdown);
+    }, 1000);
+    
+    this.roundTimer = setTimeout(() => {
+      this.runLater('roundTimeout', () => this.handleRoundTimeout(round));
+    }, this.questionTimeLimit * 1000);
+  }
+
+  stopRoundTimer() {
+    if (this.roundTimer) {
+      clearTimeout(this.roundTimer);
+      this.roundTimer = null;
+    }
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+  }
+
+  // Score everyone who hasn't answered yet as timed out
+  async handleRoundTimeout(round) {
+    if (this.gameState !== 'playing' || round !== this.roundNumber) return;
+    this.stopRoundTimer();
+    
+    const pending = Array.from(this.players.entries())
+      .filter(([id, player]) => player.questionsAnswered < this.roundNumber)
+      .map(([id]) => id);
+    
+    for (const playerId of pending) {
+      logAnswer(`Player ${playerId} timed out on round ${round}`);
+      await this.processAnswer(playerId, null, this.questionTimeLimit, { timedOut: true });
+    }
+  }
+
+  // Send an event to every real player in the room
+  broadcast(event, data) {
+    for (const player of this.players.values()) {
+      if (player.socket) {
+        player.socket.emit(event, data);
       }
     }
+  }
 
-    // If bot mode, make bot answer after a delay
-    if (this.isBotMode && this.botPlayer) {
-      this.simulateBotAnswer(question);
+  // Stop all timers once the room is no longer in use
+  destroy() {
+    this.stopRoundTimer();
+    clearTimeout(this.noShowTimer);
+    this.gameState = 'finished';
+    this.commands.close();
+    
+    for (const spectator of this.spectators.values()) {
+      GameRoom.cancelSpectatorUpdates(spectator);
+      spectator.socket.emit('spectatingEnded', { roomId: this.roomId });
     }
+    this.spectators.clear();
   }
 
-  simulateBotAnswer(question) {
-    // Calculate bot response time based on difficulty and performance
-    const baseTime = 2 + (question.difficulty === 'hard' ? 3 : question.difficulty === 'medium' ? 2 : 1);
-    const variation = Math.random() * 1.5; // Add some randomness
-    const responseTime = baseTime + variation;
+  simulateBotAnswer(bot, question) {
+    // The bot's profile decides accuracy and response time for this question
+    const play = bot.playQuestion(question, this.roundNumber);
     
-    // Calculate bot accuracy based on current difficulty
-    const accuracy = Math.max(0.4, Math.min(0.85, this.botDifficulty + (Math.random() - 0.5) * 0.2));
-    const isCorrect = Math.random() < accuracy;
+    // Ghosts that ran out of time are left to the round timer
+    if (play.timedOut) return;
     
-    // Bot answers correctly or incorrectly
-    const answer = isCorrect ? question.answer : this.generateWrongAnswer(question.answer);
+    const { isCorrect, responseTime } = play;
+    const answer = play.answer !== undefined ? play.answer :
+      isCorrect ? question.answer : this.generateWrongAnswer(question.answer, bot.random);
     
-    console.log(`Bot answering: ${answer} (correct: ${question.answer}, isCorrect: ${isCorrect})`);
+    logAnswer(`${bot.name} answering: ${answer} (correct: ${question.answer}, isCorrect: ${isCorrect})`);
     
     // Process bot answer after delay
+    const round = this.roundNumber;
     setTimeout(() => {
-      this.processAnswer(this.botPlayer.id, answer, responseTime);
+      this.runLater('botAnswer', () => this.processAnswer(bot.id, answer, responseTime, { round }));
     }, responseTime * 1000);
   }
 
-  generateWrongAnswer(correctAnswer) {
+  generateWrongAnswer(correctAnswer, random = this.random) {
     // Generate a plausible wrong answer
-    const numAnswer = parseInt(correctAnswer);
+    const numAnswer = Math.round(answerEvaluator.parseNumber(correctAnswer));
     if (!isNaN(numAnswer)) {
-      const variation = Math.floor(Math.random() * 10) + 1;
-      return Math.random() < 0.5 ? (numAnswer + variation).toString() : (numAnswer - variation).toString();
+      const variation = Math.floor(random() * 10) + 1;
+      return random() < 0.5 ? (numAnswer + variation).toString() : (numAnswer - variation).toString();
     }
     return 'wrong';
   }
 
-  async processAnswer(playerId, answer, responseTime) {
+  // Resolves true if the answer was scored. options.round is the round the
+  // answer was given in; answers that arrive after it ended are dropped.
+  async processAnswer(playerId, answer, responseTime, options = {}) {
     const player = this.players.get(playerId);
-    if (!player || !this.currentQuestion) return;
+    if (!player || !this.currentQuestion || this.gameState !== 'playing') return false;
+    if (options.round !== undefined && options.round !== this.roundNumber) return false;
     
-    console.log(`Player ${playerId} answered: ${answer}`);
-    console.log(`Current question: ${this.currentQuestion.question}`);
-    console.log(`Correct answer: ${this.currentQuestion.answer}`);
+    // Late answers (e.g. a bot after the round timed out) don't count
+    if (player.questionsAnswered >= this.roundNumber) return false;
     
-    const isCorrect = answer === this.currentQuestion.answer;
+    logAnswer(`Player ${playerId} answered: ${answer} to ${this.currentQuestion.question} (correct: ${this.currentQuestion.answer})`);
+    
+    const timedOut = options.timedOut || false;
+    const isCorrect = !timedOut && answerEvaluator.isCorrect(answer, this.currentQuestion);
     let score = 0;
     
     try {
@@ -296,7 +950,8 @@ class GameRoom {
         this.currentQuestion, 
         isCorrect, 
         responseTime, 
-        this.roomId
+        this.gameId,
+        { isBot: this.bots.has(playerId) }
       );
     } catch (scoreError) {
       console.error('Scoring error:', scoreError);
@@ -304,10 +959,30 @@ class GameRoom {
       score = isCorrect ? 100 : 0;
     }
     
+    const recordedRound = this.rounds[this.roundNumber - 1];
+    if (recordedRound) {
+      recordedRound.answers[playerId] = {
+        answer: answer === null || answer === undefined ? null : String(answer).substring(0, 50),
+        correct: isCorrect,
+        responseTime,
+        timedOut,
+        score
+      };
+    }
+    
+    gameMetrics.recordAnswer({
+      difficulty: this.currentQuestion.difficulty,
+      correct: isCorrect,
+      timedOut,
+      responseTime,
+      isBot: this.bots.has(playerId)
+    });
+    
     // Update player stats
     player.score += score;
     player.questionsAnswered++;
     if (isCorrect) player.correctAnswers++;
+    if (timedOut) player.timeouts = (player.timeouts || 0) + 1;
     
     // Calculate current accuracy
     player.accuracy = player.questionsAnswered > 0 ? player.correctAnswers / player.questionsAnswered : 0;
@@ -319,22 +994,35 @@ class GameRoom {
       player.avgResponseTime = (player.avgResponseTime * (player.questionsAnswered - 1) + responseTime) / player.questionsAnswered;
     }
     
-    // Update bot difficulty based on player performance
-    if (this.isBotMode && playerId !== this.botPlayer.id) {
-      this.adjustBotDifficulty(player.accuracy);
+    // Flag inhumanly fast correct answers from real players
+    if (player.socket && !timedOut) {
+      antiCheat.checkAnswer(playerId, this.currentQuestion, isCorrect, responseTime);
     }
     
-    // Update ML system with performance data (with error handling)
-    try {
-      mlGenerator.updatePlayerPerformance(
-        playerId, 
-        this.currentQuestion, 
-        isCorrect, 
-        responseTime
-      );
-    } catch (mlError) {
-      console.error('ML update error:', mlError);
-      // Continue without ML update
+    // Bots adapt to how the real players are doing
+    if (player.socket) {
+      for (const bot of this.bots.values()) {
+        const botStats = this.players.get(bot.id);
+        const botAccuracy = botStats.questionsAnswered > 0 ?
+          botStats.accuracy : bot.getAccuracy(this.currentQuestion);
+        bot.adapt(player.accuracy, botAccuracy);
+      }
+    }
+    
+    // Update ML system with performance data (with error handling) - bot
+    // and ghost answers are simulated or replayed, not new outcomes
+    if (!this.bots.has(playerId)) {
+      try {
+        mlGenerator.updatePlayerPerformance(
+          playerId, 
+          this.currentQuestion, 
+          isCorrect, 
+          responseTime
+        );
+      } catch (mlError) {
+        console.error('ML update error:', mlError);
+        // Continue without ML update
+      }
     }
     
     // Send result to player (only if it's a real player)
@@ -345,108 +1033,285 @@ class GameRoom {
         totalScore: player.score,
         correctAnswer: this.currentQuestion.answer,
         responseTime: responseTime,
+        timedOut,
         accuracy: player.accuracy,
         avgResponseTime: player.avgResponseTime
       });
     }
     
-    // If this is a bot answer, notify the real player
-    if (this.isBotMode && playerId === this.botPlayer.id && this.players.size > 1) {
-      const realPlayer = Array.from(this.players.values()).find(p => p.socket);
-      if (realPlayer) {
-        realPlayer.socket.emit('botAnswer', {
-          botAnswer: answer,
-          correct: isCorrect,
-          correctAnswer: this.currentQuestion.answer,
-          botScore: player.score,
-          botAccuracy: player.accuracy
-        });
-      }
+    this.recordEvent('answer', {
+      round: this.roundNumber,
+      playerId,
+      isBot: this.bots.has(playerId),
+      answer: answer === null || answer === undefined ? null : String(answer).substring(0, 50),
+      correct: isCorrect,
+      timedOut,
+      responseTime,
+      score,
+      totalScore: player.score
+    });
+    
+    this.broadcastToSpectators('spectatorAnswer', {
+      round: this.roundNumber,
+      playerId,
+      name: player.name || null,
+      isBot: this.bots.has(playerId),
+      answer: answer === null || answer === undefined ? null : String(answer).substring(0, 50),
+      correct: isCorrect,
+      timedOut,
+      correctAnswer: this.currentQuestion.answer,
+      responseTime,
+      score,
+      totalScore: player.score
+    });
+    
+    // If this is a bot answer, notify the real players
+    if (this.bots.has(playerId)) {
+      this.broadcast('botAnswer', {
+        botId: playerId,
+        botName: player.name,
+        botProfile: player.botProfile,
+        botAnswer: answer,
+        correct: isCorrect,
+        correctAnswer: this.currentQuestion.answer,
+        botScore: player.score,
+        botAccuracy: player.accuracy
+      });
     }
     
-    // Check if all players have answered
+    this.checkRoundComplete();
+    return true;
+  }
+
+  // Send round results and move on once everyone has answered
+  checkRoundComplete() {
     const allAnswered = Array.from(this.players.values())
       .every(p => p.questionsAnswered >= this.roundNumber);
     
-    if (allAnswered) {
-      // Wait for players to see their individual results before showing round complete
-      setTimeout(() => {
-        // Send round results to all players
-        const roundResults = Array.from(this.players.entries()).map(([id, p]) => ({
-          playerId: id,
-          score: p.score,
-          accuracy: p.correctAnswers / p.questionsAnswered
-        }));
-        
-        // Send round results to all real players in the room
-        for (const [playerId, player] of this.players) {
-          if (player.socket) {
-            player.socket.emit('roundResults', {
-              round: this.roundNumber,
-              results: roundResults
-            });
-          }
+    // Only complete each round once
+    if (!allAnswered || this.completedRound >= this.roundNumber) return;
+    const round = this.roundNumber;
+    this.completedRound = round;
+    this.stopRoundTimer();
+    this.recordEvent('roundEnd', {
+      round: this.roundNumber,
+      scores: this.getRankings().map(entry => ({ playerId: entry.playerId, rank: entry.rank, score: entry.score }))
+    });
+    
+    // Wait for players to see their individual results before showing round complete
+    setTimeout(() => {
+      // Send round results to all real players in the room
+      const roundResults = this.getRankings();
+      for (const [playerId, player] of this.players) {
+        if (player.socket) {
+          player.socket.emit('roundResults', {
+            round,
+            results: roundResults
+          });
         }
-        
-        // Wait a bit then start next round
-        setTimeout(() => this.nextRound(), 2000);
-      }, 2000); // 2 second delay to show individual results
+      }
+      this.broadcastToSpectators('roundResults', { round, results: roundResults });
+      
+      // Wait a bit then start next round
+      setTimeout(() => this.runLater('nextRound', () => this.nextRound(round + 1)), 2000);
+    }, 2000); // 2 second delay to show individual results
+  }
+
+  // Keep the question sequence and everyone's answers so the game can be
+  // raced again as a ghost, and remember each player's best game
+  saveGameRecord(finalResults) {
+    if (this.rounds.length === 0) return;
+    
+    const record = {
+      gameId: this.gameId,
+      roomId: this.roomId,
+      startedAt: this.gameStartTime,
+      endedAt: Date.now(),
+      timeLimit: this.timeLimit,
+      seed: this.seed,
+      ghostOf: this.ghostOf || null,
+      players: Object.fromEntries(finalResults.map(result => [result.playerId, {
+        rank: result.rank,
+        finalScore: result.finalScore,
+        accuracy: result.accuracy,
+        isBot: result.isBot,
+        name: result.name || null
+      }])),
+      rounds: this.rounds
+    };
+    
+    try {
+      playerStore.saveGameRecord(record);
+      for (const result of finalResults) {
+        if (result.isBot) continue;
+        const profile = playerStore.getProfile(result.playerId) || {};
+        if (!profile.bestGame || result.finalScore > profile.bestGame.finalScore) {
+          playerStore.touchProfile(result.playerId, {
+            bestGame: { gameId: this.gameId, finalScore: result.finalScore }
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error saving game record:', error);
     }
   }
 
-  adjustBotDifficulty(playerAccuracy) {
-    // Adjust bot difficulty to match player performance
-    if (playerAccuracy > 0.8) {
-      this.botDifficulty = Math.min(0.9, this.botDifficulty + 0.1);
-    } else if (playerAccuracy < 0.5) {
-      this.botDifficulty = Math.max(0.3, this.botDifficulty - 0.1);
+  // Full event log of the game for replays
+  saveReplay(finalResults) {
+    if (this.events.length === 0) return;
+    
+    this.recordEvent('gameEnd', {
+      results: finalResults.map(result => ({
+        playerId: result.playerId,
+        rank: result.rank,
+        finalScore: result.finalScore,
+        accuracy: result.accuracy,
+        ratingChange: result.ratingChange
+      }))
+    });
+    
+    const players = this.events[0].players.slice();
+    for (const result of finalResults) {
+      if (!players.some(player => player.playerId === result.playerId)) {
+        players.push({ playerId: result.playerId, name: result.name || null, isBot: result.isBot, botProfile: null });
+      }
     }
     
-    if (this.botPlayer) {
-      this.botPlayer.difficulty = this.botDifficulty;
+    try {
+      replayStore.save({
+        gameId: this.gameId,
+        roomId: this.roomId,
+        name: this.name,
+        startedAt: this.gameStartTime,
+        endedAt: Date.now(),
+        questionCount: this.roundNumber,
+        seed: this.seed,
+        players,
+        winner: finalResults.length > 0 ? finalResults[0].playerId : null,
+        events: this.events
+      });
+    } catch (error) {
+      console.error('Error saving replay:', error);
     }
   }
 
   endGame() {
+    if (this.gameState !== 'playing') return;
     this.gameState = 'finished';
+    this.stopRoundTimer();
     
     // Calculate final results
-    const finalResults = Array.from(this.players.entries()).map(([id, player]) => ({
-      playerId: id,
-      finalScore: player.score,
-      accuracy: player.correctAnswers / player.questionsAnswered,
-      avgResponseTime: player.avgResponseTime
-    })).sort((a, b) => b.finalScore - a.finalScore);
+    const finalResults = this.getRankings().map(entry => ({
+      playerId: entry.playerId,
+      rank: entry.rank,
+      finalScore: entry.score,
+      accuracy: entry.accuracy,
+      avgResponseTime: entry.avgResponseTime,
+      isBot: entry.isBot,
+      // Bots play at their profile's fixed rating
+      ...(this.bots.has(entry.playerId) ? {
+        name: entry.name,
+        botProfile: entry.botProfile,
+        rating: this.bots.get(entry.playerId).rating
+      } : {})
+    }));
+    
+    // Update skill ratings - quarantined players neither gain nor give rating
+    const ratingChanges = !this.isRated ? [] : ratingSystem.updateFromResults(
+      finalResults.filter(result => result.isBot || !antiCheat.isQuarantined(result.playerId))
+    );
+    for (const change of ratingChanges) {
+      const result = finalResults.find(entry => entry.playerId === change.playerId);
+      result.rating = change.rating;
+      result.ratingChange = change.ratingChange;
+    }
+    
+    this.saveGameRecord(finalResults);
+    this.saveReplay(finalResults);
+    publishLeaderboardEntries(finalResults.filter(result => !result.isBot).map(result => result.playerId));
     
-    // Send final results to all players
+    // Send final results to all real players
+    const gameEndData = {
+      gameId: this.gameId,
+      results: finalResults,
+      playerCount: finalResults.length,
+      duration: Date.now() - this.gameStartTime
+    };
     for (const [playerId, player] of this.players) {
-      player.socket.emit('gameEnd', {
-        results: finalResults,
-        duration: Date.now() - this.gameStartTime
-      });
+      if (player.socket) {
+        player.socket.emit('gameEnd', gameEndData);
+      }
+    }
+    this.broadcastToSpectators('gameEnd', gameEndData);
+    
+    // Players handed over from other nodes go back to them
+    for (const player of Array.from(this.players.values())) {
+      if (player.socket && player.socket.data.remote) {
+        clusterRouter.release(player.socket);
+      }
+    }
+    
+    if (this.tournament) {
+      tournamentManager.recordResult(this.tournament.tournamentId, this.tournament.matchId, finalResults);
     }
     
     // Clean up after delay
     setTimeout(() => {
-      gameRooms.delete(this.roomId);
+      // A new room may have reused this id in the meantime
+      if (gameRooms.get(this.roomId) === this) {
+        gameRooms.delete(this.roomId);
+      }
     }, 10000);
   }
 }
 
-// Socket connection handling
-io.on('connection', async (socket) => {
+// Socket connection handling - also runs on a room's host node for players
+// handed over from another node
+async function handleConnection(socket) {
   console.log(`Player connected: ${socket.id}`);
   
-  const playerId = socket.id;
-  playerSessions.set(playerId, {
-    socket,
-    currentRoom: null,
-    connectedAt: Date.now(),
-    lastPing: Date.now()
-  });
-
-  // Set up ping/pong to keep connection alive
-  const pingInterval = setInterval(() => {
+  // Set by identifyConnection, or by the player's own node for a remote socket
+  const { playerId, playerToken } = socket.data.identity;
+  
+  // A session left over from a dropped connection is kept until the
+  // client resumes it (or the grace period runs out)
+  if (!playerSessions.has(playerId)) {
+    playerSessions.set(playerId, {
+      socket,
+      playerToken,
+      currentRoom: null,
+      connectedAt: Date.now(),
+      lastPing: Date.now(),
+      disconnectedAt: null,
+      graceTimer: null
+    });
+  }
+  playerStore.touchProfile(playerId);
+  
+  // A player whose game is on another node goes back to it after
+  // reconnecting - whether they were handed over from here or were playing
+  // there until their connection landed on this node
+  const existingSession = playerSessions.get(playerId);
+  if (!existingSession.hostNode && !socket.data.remote) {
+    const remoteGame = findRemoteGame(socket.data.sharedSession);
+    existingSession.hostNode = remoteGame ? remoteGame.hostNode : null;
+    existingSession.hostRoom = remoteGame ? remoteGame.hostRoom : null;
+  }
+  if (existingSession.hostNode && !socket.data.remote) {
+    clearTimeout(existingSession.graceTimer);
+    existingSession.graceTimer = null;
+    existingSession.socket = socket;
+    existingSession.disconnectedAt = null;
+    clusterRouter.attach(socket, existingSession.hostNode);
+  }
+  
+  // The player's own node already sent it
+  if (!socket.data.remote) {
+    socket.emit('sessionToken', { playerId, playerToken });
+  }
+
+  // Set up ping/pong to keep connection alive
+  const pingInterval = setInterval(() => {
     if (socket.connected) {
       socket.emit('ping');
     } else {
@@ -469,9 +1334,16 @@ io.on('connection', async (socket) => {
   // Join game room
   socket.on('joinRoom', async (data) => {
     try {
-      const roomId = data.roomId || 'default';
+      const requestedId = String(data.roomId || 'default').trim();
+      // Join codes are case-insensitive
+      const roomId = gameRooms.has(requestedId) ? requestedId :
+        gameRooms.has(requestedId.toUpperCase()) ? requestedId.toUpperCase() : requestedId;
+      
+      if (!gameRooms.has(roomId) && await handOverToRoomHost(socket, playerId, requestedId, 'joinRoom', data)) {
+        return;
+      }
       
-      // Acquire lock for room operations
+      // Joining changes room state, so it takes the write lock
       const lock = await concurrencyManager.acquireGameLock(roomId, playerId);
       
       try {
@@ -479,41 +1351,74 @@ io.on('connection', async (socket) => {
         let isFirstPlayer = false;
         
         if (!room) {
-          // First player creates room and can set question count
+          // First player creates room and can set question count and capacity
           const questionCount = data.questionCount || 10;
-          room = new GameRoom(roomId, false, questionCount);
+          room = new GameRoom(roomId, false, questionCount, {
+            capacity: data.capacity,
+            timeLimit: data.timeLimit,
+            seed: data.seed,
+            hostId: playerId
+          });
           gameRooms.set(roomId, room);
+          publishRoom(room);
           isFirstPlayer = true;
         }
         
-        const success = room.addPlayer(playerId, socket);
-        
-        if (success) {
-          playerSessions.get(playerId).currentRoom = roomId;
+        // The room may be mid-command (e.g. a host changing settings)
+        await room.run('joinRoom', () => {
+          if (room.gameState !== 'waiting') {
+            socket.emit('error', { message: 'Game already in progress' });
+            return;
+          }
           
-          socket.emit('roomJoined', {
-            roomId,
-            playerCount: room.players.size,
-            maxPlayers: MAX_PLAYERS_PER_ROOM,
-            isFirstPlayer: isFirstPlayer,
-            questionCount: room.maxRounds
-          });
+          if (room.tournament && !room.tournament.playerIds.includes(playerId)) {
+            socket.emit('error', { message: 'This room is a tournament match' });
+            return;
+          }
           
-          // Notify other players
-          socket.to(roomId).emit('playerJoined', {
-            playerId,
-            playerCount: room.players.size
-          });
+          if (!room.checkPassword(data.password)) {
+            socket.emit('error', { message: 'Incorrect room password' });
+            return;
+          }
+          
+          const success = room.addPlayer(playerId, socket);
           
-          // If room is full, start game immediately
-          if (room.players.size === MAX_PLAYERS_PER_ROOM) {
-            setTimeout(() => room.startGame(), 1000);
+          if (success) {
+            playerSessions.get(playerId).currentRoom = roomId;
+            matchmaker.dequeue(playerId);
+            
+            socket.emit('roomJoined', {
+              roomId,
+              name: room.name,
+              isPrivate: room.isPrivate,
+              playerCount: room.players.size,
+              maxPlayers: room.capacity,
+              isFirstPlayer: isFirstPlayer,
+              isHost: room.hostId === playerId,
+              questionCount: room.maxRounds,
+              seed: room.seed
+            });
+            
+            // Notify other players
+            const joined = {
+              playerId,
+              playerCount: room.players.size,
+              maxPlayers: room.capacity,
+              hostId: room.hostId
+            };
+            socket.to(roomId).emit('playerJoined', joined);
+            room.broadcastToSpectators('playerJoined', joined);
+            
+            // If room is full, start game immediately - otherwise the host starts it
+            if (room.isFull()) {
+              room.scheduleStart();
+            }
+          } else {
+            socket.emit('roomFull', {
+              message: 'Room is full'
+            });
           }
-        } else {
-          socket.emit('roomFull', {
-            message: 'Room is full'
-          });
-        }
+        });
       } finally {
         lock.release();
       }
@@ -523,40 +1428,204 @@ io.on('connection', async (socket) => {
     }
   });
 
-  // Start bot game
-  socket.on('startBotGame', async (data) => {
+  // Create a room with a shareable join code
+  socket.on('createRoom', async (data = {}) => {
     try {
-      const roomId = 'bot_' + playerId;
+      const session = playerSessions.get(playerId);
+      if (session.currentRoom && gameRooms.has(session.currentRoom)) {
+        socket.emit('error', { message: 'Leave your current room first' });
+        return;
+      }
       
-      // Create bot room
-      const room = new GameRoom(roomId, true, data.questionCount);
+      const roomId = generateJoinCode();
+      const room = new GameRoom(roomId, false, data.questionCount || 10, {
+        capacity: data.capacity,
+        timeLimit: data.timeLimit,
+        seed: data.seed,
+        hostId: playerId,
+        name: data.name ? String(data.name).trim().substring(0, 40) : `Room ${roomId}`,
+        isPrivate: !!data.isPrivate,
+        password: data.password || null
+      });
       gameRooms.set(roomId, room);
+      room.addPlayer(playerId, socket);
+      publishRoom(room);
+      session.currentRoom = roomId;
+      matchmaker.dequeue(playerId);
       
-      // Add player to bot room
-      const success = room.addPlayer(playerId, socket);
+      socket.emit('roomCreated', {
+        roomId,
+        joinCode: roomId,
+        name: room.name,
+        isPrivate: room.isPrivate,
+        hasPassword: !!room.passwordHash
+      });
+      socket.emit('roomJoined', {
+        roomId,
+        name: room.name,
+        isPrivate: room.isPrivate,
+        playerCount: room.players.size,
+        maxPlayers: room.capacity,
+        isFirstPlayer: true,
+        isHost: true,
+        questionCount: room.maxRounds,
+        seed: room.seed
+      });
+    } catch (error) {
+      console.error('Error creating room:', error);
+      socket.emit('error', { message: 'Failed to create room' });
+    }
+  });
+
+  // Lobby listing
+  socket.on('listRooms', async () => {
+    socket.emit('roomList', { rooms: listOpenRooms(), liveRooms: listLiveRooms() });
+  });
+
+  // Watch a room without playing - by room id or join code, with the
+  // password if it has one. `delay` (0-30s) holds back everything sent.
+  socket.on('spectateRoom', async (data = {}) => {
+    try {
+      const requestedId = String(data.roomId || '').trim();
+      const room = gameRooms.get(requestedId) || gameRooms.get(requestedId.toUpperCase());
+      if (!room && await handOverToRoomHost(socket, playerId, requestedId, 'spectateRoom', data)) {
+        return;
+      }
+      if (!room || room.gameState === 'finished') {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+      if (room.players.has(playerId)) {
+        socket.emit('error', { message: 'You are playing in this room' });
+        return;
+      }
+      if (!room.checkPassword(data.password)) {
+        socket.emit('error', { message: 'Incorrect room password' });
+        return;
+      }
+      
+      // Watching doesn't change the game itself, so spectators share the room lock
+      const lock = await concurrencyManager.acquireGameLock(room.roomId, playerId, 3000, { mode: 'read' });
+      try {
+        stopSpectating(socket);
+        const spectator = room.addSpectator(playerId, socket, data.delay);
+        socket.data.spectating = room.roomId;
+        socket.emit('spectating', {
+          roomId: room.roomId,
+          name: room.name,
+          delay: spectator.delay,
+          spectatorCount: room.spectators.size
+        });
+        room.sendToSpectator(spectator, 'spectatorState', room.getSpectatorState());
+      } finally {
+        lock.release();
+      }
+    } catch (error) {
+      console.error('Error spectating room:', error);
+      socket.emit('error', { message: 'Failed to spectate room' });
+    }
+  });
+
+  socket.on('stopSpectating', async () => {
+    stopSpectating(socket);
+    socket.emit('spectatingEnded', {});
+  });
+
+  // Start bot game
+  socket.on('startBotGame', async (data) => {
+    try {
+      matchmaker.dequeue(playerId);
+      await startBotGame(playerId, socket, data);
+    } catch (error) {
+      console.error('Error starting bot game:', error);
+      socket.emit('error', { message: 'Failed to start bot game' });
+    }
+  });
+
+  // Race a ghost replaying a recorded game
+  socket.on('startGhostGame', async (data = {}) => {
+    try {
+      matchmaker.dequeue(playerId);
+      await startGhostGame(playerId, socket, data);
+    } catch (error) {
+      console.error('Error starting ghost game:', error);
+      socket.emit('error', { message: 'Failed to start ghost game' });
+    }
+  });
+
+  // Host adds a bot to a multiplayer room before it starts
+  socket.on('addBot', async (data = {}) => {
+    try {
+      const session = playerSessions.get(playerId);
+      const room = session.currentRoom ? gameRooms.get(session.currentRoom) : null;
+      if (!room) {
+        socket.emit('error', { message: 'Bots can only be added to a room that is waiting to start' });
+        return;
+      }
       
-      if (success) {
-        playerSessions.get(playerId).currentRoom = roomId;
+      await room.run('addBot', () => {
+        if (room.gameState !== 'waiting' || room.isBotMode || room.tournament) {
+          socket.emit('error', { message: 'Bots can only be added to a room that is waiting to start' });
+          return;
+        }
+        if (room.hostId !== playerId) {
+          socket.emit('error', { message: 'Only the host can add bots' });
+          return;
+        }
         
-        // Add bot player
-        room.addBotPlayer();
+        const bot = room.addBotPlayer(data.profile);
+        if (!bot) {
+          socket.emit('roomFull', { message: 'Room is full' });
+          return;
+        }
         
-        socket.emit('roomJoined', {
-          roomId,
-          playerCount: 2, // Player + Bot
-          maxPlayers: 2,
-          isBotMode: true
+        room.broadcast('playerJoined', {
+          playerId: bot.id,
+          name: bot.name,
+          isBot: true,
+          playerCount: room.players.size,
+          maxPlayers: room.capacity,
+          hostId: room.hostId
         });
         
-        // Start bot game immediately
-        setTimeout(() => {
-          console.log('Starting bot game...');
-          room.startGame();
-        }, 1000);
+        if (room.isFull()) {
+          room.scheduleStart();
+        }
+      });
+    } catch (error) {
+      console.error('Error adding bot:', error);
+      socket.emit('error', { message: 'Failed to add bot' });
+    }
+  });
+
+  // Join the skill-based matchmaking queue
+  socket.on('findMatch', async (data = {}) => {
+    try {
+      const session = playerSessions.get(playerId);
+      const currentRoom = session.currentRoom ? gameRooms.get(session.currentRoom) : null;
+      if (currentRoom && currentRoom.gameState === 'playing') {
+        socket.emit('error', { message: 'Finish your current game first' });
+        return;
+      }
+      
+      // Settled here so players asking for the same game compare equal
+      const status = await matchmaker.enqueue(playerId, {
+        questionCount: GameRoom.clampQuestionCount(data.questionCount),
+        timeLimit: GameRoom.clampTimeLimit(data.timeLimit)
+      });
+      // The queue may have matched the player straight away
+      if (status) {
+        socket.emit('matchSearching', status);
       }
     } catch (error) {
-      console.error('Error starting bot game:', error);
-      socket.emit('error', { message: 'Failed to start bot game' });
+      console.error('Error finding match:', error);
+      socket.emit('error', { message: 'Failed to join matchmaking' });
+    }
+  });
+
+  socket.on('cancelMatch', () => {
+    if (matchmaker.dequeue(playerId)) {
+      socket.emit('matchCancelled', {});
     }
   });
 
@@ -570,19 +1639,77 @@ io.on('connection', async (socket) => {
       }
       
       const room = gameRooms.get(session.currentRoom);
-      if (room && room.gameState === 'waiting') {
-        room.maxRounds = data.questionCount;
-        socket.emit('roomSettingsUpdated', {
-          questionCount: room.maxRounds
-        });
-      }
+      if (!room) return;
+      
+      await room.run('updateRoomSettings', () => {
+        if (room.gameState === 'waiting') {
+          if (room.hostId !== playerId) {
+            socket.emit('error', { message: 'Only the host can change room settings' });
+            return;
+          }
+          if (room.tournament) {
+            socket.emit('error', { message: 'Tournament match settings are fixed' });
+            return;
+          }
+          
+          if (data.seed !== undefined) {
+            room.setSeed(data.seed);
+          }
+          if (data.questionCount) {
+            room.setQuestionCount(data.questionCount);
+          }
+          if (data.capacity) {
+            // Never shrink below the players already in the room
+            room.capacity = Math.max(room.players.size, GameRoom.clampCapacity(data.capacity));
+          }
+          if (data.timeLimit) {
+            room.timeLimit = GameRoom.clampTimeLimit(data.timeLimit);
+          }
+          
+          io.to(room.roomId).emit('roomSettingsUpdated', {
+            questionCount: room.maxRounds,
+            maxPlayers: room.capacity,
+            timeLimit: room.timeLimit,
+            seed: room.seed
+          });
+        }
+      });
     } catch (error) {
       console.error('Error updating room settings:', error);
       socket.emit('error', { message: 'Failed to update room settings' });
     }
   });
 
-  // Player ready - removed, game starts automatically when 2 players join
+  // Host starts the game once enough players have joined
+  socket.on('startGame', async () => {
+    try {
+      const session = playerSessions.get(playerId);
+      const room = session && session.currentRoom ? gameRooms.get(session.currentRoom) : null;
+      if (!room) {
+        socket.emit('error', { message: 'Not in a room' });
+        return;
+      }
+      
+      await room.run('requestStart', () => {
+        if (!room.canStart(playerId)) {
+          socket.emit('error', {
+            message: room.hostId !== playerId ?
+              'Only the host can start the game' :
+              `Need at least ${MIN_PLAYERS_TO_START} players to start`
+          });
+          return;
+        }
+        
+        io.to(room.roomId).emit('gameStarting', { playerCount: room.players.size });
+        room.scheduleStart();
+      });
+    } catch (error) {
+      console.error('Error starting game:', error);
+      socket.emit('error', { message: 'Failed to start game' });
+    }
+  });
+
+  // Player ready - removed, game starts when the room fills or the host starts it
 
   // Submit answer
   socket.on('submitAnswer', async (data) => {
@@ -599,13 +1726,32 @@ io.on('connection', async (socket) => {
         return;
       }
       
+      // Scripted clients hammering submitAnswer
+      if (!antiCheat.allowSubmission(socket.id, 'answer')) {
+        socket.emit('answerRejected', { reason: 'rateLimited', message: 'Too many submissions - slow down' });
+        return;
+      }
+      
+      // Timing and round are taken on arrival, not when the command runs
+      const receivedAt = Date.now();
+      const round = room.roundNumber;
       const responseTime = room.questionStartTime ? 
         (Date.now() - room.questionStartTime) / 1000 : 0;
       
-      console.log(`Processing answer for player ${playerId}: ${data.answer}`);
-      
-      // Process answer directly to avoid thread pool issues
-      await room.processAnswer(playerId, data.answer, responseTime);
+      // Answers are quick - the worker pool is kept for CPU-heavy work
+      await room.run('submitAnswer', async () => {
+        // One answer per round
+        if (room.hasAnsweredCurrentRound(playerId)) {
+          socket.emit('answerRejected', { reason: 'alreadyAnswered', message: 'You already answered this round' });
+          return;
+        }
+        
+        const accepted = await room.processAnswer(playerId, data.answer, responseTime, { round });
+        if (!accepted && room.players.has(playerId)) {
+          socket.emit('answerRejected', { reason: 'roundOver', message: 'That round has already ended' });
+        }
+      });
+      gameMetrics.recordAnswerProcessed(Date.now() - receivedAt);
       
     } catch (error) {
       console.error('Error processing answer:', error);
@@ -617,19 +1763,21 @@ io.on('connection', async (socket) => {
   // Get leaderboard
   socket.on('getLeaderboard', async (data) => {
     try {
-      let leaderboard = scoringSystem.getLeaderboard(data.limit || 10);
+      let leaderboard = getClusterLeaderboard(data.limit || 10);
       
       // Include current game players if they're not in the main leaderboard
       const currentGamePlayers = [];
       for (const [roomId, room] of gameRooms) {
         for (const [playerId, player] of room.players) {
-          if (!leaderboard.find(p => p.playerId === playerId)) {
+          if (!leaderboard.find(p => p.playerId === playerId) &&
+              !scoringSystem.isExcludedFromLeaderboard(playerId)) {
             currentGamePlayers.push({
               playerId,
               totalScore: player.score,
               accuracy: player.accuracy,
               avgResponseTime: player.avgResponseTime,
-              performanceTrend: 'stable'
+              performanceTrend: 'stable',
+              ...ratingSystem.getRatingSummary(playerId)
             });
           }
         }
@@ -637,7 +1785,7 @@ io.on('connection', async (socket) => {
       
       // Combine and sort
       leaderboard = [...leaderboard, ...currentGamePlayers]
-        .sort((a, b) => b.totalScore - a.totalScore)
+        .sort(ScoringSystem.compareLeaderboardEntries)
         .slice(0, data.limit || 10);
       
       socket.emit('leaderboard', {
@@ -648,6 +1796,133 @@ io.on('connection', async (socket) => {
     }
   });
 
+  // Daily challenge - one attempt per player per day
+  socket.on('startDailyChallenge', async () => {
+    try {
+      if (dailyChallenge.hasPlayed(playerId)) {
+        socket.emit('dailyChallengeResult', getDailyChallengeResult(playerId, true));
+        return;
+      }
+      
+      socket.emit('dailyChallengeQuestion', dailyChallenge.startAttempt(playerId));
+    } catch (error) {
+      console.error('Error starting daily challenge:', error);
+      socket.emit('error', { message: 'Failed to start daily challenge' });
+    }
+  });
+
+  socket.on('submitDailyAnswer', async (data = {}) => {
+    try {
+      if (!dailyChallenge.isPlaying(playerId)) {
+        socket.emit('answerRejected', { reason: 'notPlaying', message: 'No daily challenge in progress' });
+        return;
+      }
+      
+      if (!antiCheat.allowSubmission(socket.id, 'dailyAnswer')) {
+        socket.emit('answerRejected', { reason: 'rateLimited', message: 'Too many submissions - slow down' });
+        return;
+      }
+      
+      const { question, ...result } = dailyChallenge.submitAnswer(playerId, data.answer);
+      if (!result.timedOut) {
+        antiCheat.checkAnswer(playerId, question, result.correct, result.responseTime);
+      }
+      socket.emit('dailyAnswerResult', result);
+      
+      if (result.finished) {
+        socket.emit('dailyChallengeResult', getDailyChallengeResult(playerId, false));
+      } else {
+        socket.emit('dailyChallengeQuestion', dailyChallenge.getCurrentQuestion(playerId));
+      }
+    } catch (error) {
+      console.error('Error processing daily answer:', error);
+      socket.emit('error', { message: 'Failed to process answer' });
+    }
+  });
+
+  socket.on('getDailyLeaderboard', async (data = {}) => {
+    try {
+      const date = data.date || DailyChallenge.dateKey();
+      socket.emit('dailyLeaderboard', {
+        ...dailyChallenge.getSummary(date),
+        leaderboard: dailyChallenge.getLeaderboard(date, data.limit || 10),
+        played: dailyChallenge.hasPlayed(playerId, date),
+        streak: dailyChallenge.getStreak(playerId)
+      });
+    } catch (error) {
+      console.error('Error getting daily leaderboard:', error);
+    }
+  });
+
+  // Tournaments - players register, the host starts it and matches are
+  // started automatically as the bracket advances
+  socket.on('createTournament', async (data = {}) => {
+    try {
+      const tournament = tournamentManager.createTournament(playerId, data);
+      socket.join(`tournament_${tournament.tournamentId}`);
+      tournamentManager.register(tournament.tournamentId, playerId);
+      socket.emit('tournamentCreated', tournamentManager.getSummary(tournament));
+    } catch (error) {
+      console.error('Error creating tournament:', error);
+      socket.emit('error', { message: 'Failed to create tournament' });
+    }
+  });
+
+  socket.on('joinTournament', async (data = {}) => {
+    try {
+      const tournament = tournamentManager.getTournament(data.tournamentId);
+      if (!tournament) {
+        socket.emit('error', { message: 'Tournament not found' });
+        return;
+      }
+      
+      socket.join(`tournament_${tournament.tournamentId}`);
+      tournamentManager.register(tournament.tournamentId, playerId);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('leaveTournament', async (data = {}) => {
+    try {
+      const match = tournamentManager.getActiveMatch(data.tournamentId, playerId);
+      tournamentManager.withdraw(data.tournamentId, playerId);
+      
+      const session = playerSessions.get(playerId);
+      if (match && session && session.currentRoom === match.roomId) {
+        leaveRoom(playerId, match.roomId);
+        session.currentRoom = null;
+      }
+      socket.emit('tournamentLeft', { tournamentId: data.tournamentId });
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('startTournament', async (data = {}) => {
+    try {
+      tournamentManager.start(data.tournamentId, playerId);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('listTournaments', async () => {
+    socket.emit('tournamentList', { tournaments: tournamentManager.listTournaments() });
+  });
+
+  // Bracket state, with live updates from then on
+  socket.on('getTournament', async (data = {}) => {
+    const tournament = tournamentManager.getTournament(data.tournamentId);
+    if (!tournament) {
+      socket.emit('error', { message: 'Tournament not found' });
+      return;
+    }
+    
+    socket.join(`tournament_${tournament.tournamentId}`);
+    socket.emit('tournamentUpdate', tournamentManager.getSummary(tournament));
+  });
+
   // Get player stats
   socket.on('getPlayerStats', async (data) => {
     try {
@@ -670,44 +1945,712 @@ io.on('connection', async (socket) => {
       }
       
       socket.emit('playerStats', {
-        stats
+        stats: {
+          ...stats,
+          rating: ratingSystem.getRatingSummary(playerId),
+          dailyStreak: dailyChallenge.getStreak(playerId)
+        }
       });
     } catch (error) {
       console.error('Error getting player stats:', error);
     }
   });
 
+  // Resume a session after reconnecting with the same player token
+  socket.on('resumeSession', async () => {
+    try {
+      const session = playerSessions.get(playerId);
+      if (!session) {
+        socket.emit('sessionResumed', { resumed: false });
+        return;
+      }
+      
+      const previousSocket = session.socket;
+      if (session.graceTimer) {
+        clearTimeout(session.graceTimer);
+        session.graceTimer = null;
+      }
+      session.socket = socket;
+      session.disconnectedAt = null;
+      session.lastPing = Date.now();
+      
+      // The old connection may not have timed out yet
+      if (previousSocket !== socket && previousSocket.connected) {
+        previousSocket.disconnect(true);
+      }
+      
+      const room = session.currentRoom ? gameRooms.get(session.currentRoom) : null;
+      const resumed = room && await room.run('resumeSession', () => {
+        if (!room.rebindPlayer(playerId, socket)) return false;
+        
+        console.log(`Player ${playerId} resumed session in room ${room.roomId}`);
+        socket.emit('sessionResumed', {
+          resumed: true,
+          ...room.getResumeState(playerId)
+        });
+        socket.to(room.roomId).emit('playerReconnected', { playerId });
+        return true;
+      }).catch(error => {
+        console.error(`Error resuming session in room ${room.roomId}:`, error);
+        return false;
+      });
+      
+      if (!resumed) {
+        session.currentRoom = null;
+        socket.emit('sessionResumed', { resumed: false });
+      }
+    } catch (error) {
+      console.error('Error resuming session:', error);
+      socket.emit('error', { message: 'Failed to resume session' });
+    }
+  });
+
   // Disconnect handling
-  socket.on('disconnect', async () => {
+  socket.on('disconnect', async (reason) => {
     console.log(`Player disconnected: ${playerId}`);
     
     const session = playerSessions.get(playerId);
-    if (session && session.currentRoom) {
-      const room = gameRooms.get(session.currentRoom);
-      if (room) {
-        room.removePlayer(playerId);
-        
-        // Notify other players
-        socket.to(session.currentRoom).emit('playerLeft', {
-          playerId
-        });
-        
-        // If room becomes empty, clean it up
-        if (room.players.size === 0) {
-          gameRooms.delete(session.currentRoom);
-        }
+    antiCheat.clearSocket(socket.id);
+    stopSpectating(socket);
+    
+    // Ignore sockets that were replaced by a resumed session
+    if (!session || session.socket !== socket) return;
+    
+    session.disconnectedAt = Date.now();
+    matchmaker.dequeue(playerId);
+    // Don't wait for the next sync - the player may be reconnecting elsewhere
+    publishSession(playerId).catch(error => console.error('Error publishing session:', error.message));
+    const roomId = session.currentRoom;
+    const room = roomId ? gameRooms.get(roomId) : null;
+    
+    // Hold the seat for a while so the player can reconnect mid-game - unless
+    // they were handed over and their own node took them back
+    if (room && room.gameState !== 'finished' && reason !== ClusterRouter.RELEASED) {
+      socket.to(roomId).emit('playerDisconnected', {
+        playerId,
+        gracePeriod: RECONNECT_GRACE_MS
+      });
+      session.graceTimer = setTimeout(() => {
+        finalizeDisconnect(playerId, roomId);
+      }, RECONNECT_GRACE_MS);
+    } else if (session.hostNode) {
+      // The host node holds the seat; remember where it is for a reconnect
+      session.graceTimer = setTimeout(() => {
+        finalizeDisconnect(playerId, null);
+      }, RECONNECT_GRACE_MS);
+    } else {
+      finalizeDisconnect(playerId, roomId);
+    }
+  });
+}
+
+// Who a connection belongs to, and where their game is if another node has
+// it, are settled before any of their events are handled
+async function identifyConnection(socket) {
+  const auth = socket.handshake.auth || {};
+  socket.data.identity = await resolvePlayerIdentity(auth.playerToken);
+  
+  const { playerId } = socket.data.identity;
+  if (!playerSessions.has(playerId)) {
+    socket.data.sharedSession = await sharedState.getSession(playerId)
+      .catch(error => console.error('Error looking up shared session:', error.message));
+  }
+}
+
+io.use((socket, next) => {
+  identifyConnection(socket)
+    .then(() => next())
+    .catch(error => {
+      console.error('Error identifying connection:', error);
+      next(new Error('Failed to identify player'));
+    });
+});
+io.on('connection', handleConnection);
+
+// Put a solo game's room in place of the player's earlier one. The earlier
+// room is destroyed as a command on its own queue, so answers and timers
+// already queued for it don't run against a destroyed room. Another
+// replacement may have taken the slot by the time this resolves.
+async function replaceSoloRoom(roomId, room) {
+  let previousRoom;
+  while ((previousRoom = gameRooms.get(roomId))) {
+    const replaced = previousRoom;
+    gameRooms.delete(roomId);
+    // Already closed if the room was destroyed some other way
+    await replaced.run('replaceRoom', () => replaced.destroy()).catch(() => {});
+  }
+  gameRooms.set(roomId, room);
+}
+
+// Solo game against the bot, replacing any earlier bot game for the player
+async function startBotGame(playerId, socket, options = {}) {
+  const roomId = 'bot_' + playerId;
+  
+  // Create bot room
+  const room = new GameRoom(roomId, true, options.questionCount, {
+    timeLimit: options.timeLimit,
+    seed: options.seed
+  });
+  await replaceSoloRoom(roomId, room);
+  if (gameRooms.get(roomId) !== room) return room;
+  
+  // Add player to bot room
+  const success = room.addPlayer(playerId, socket);
+  
+  if (success) {
+    playerSessions.get(playerId).currentRoom = roomId;
+    
+    // Either a list of profiles or one profile repeated botCount times
+    const botCount = Math.max(1, Math.min(MAX_BOTS_PER_ROOM, parseInt(options.botCount) || 1));
+    const profiles = Array.isArray(options.bots) && options.bots.length > 0 ?
+      options.bots : new Array(botCount).fill(options.botProfile || BotPlayer.DEFAULT_PROFILE);
+    profiles.slice(0, MAX_BOTS_PER_ROOM).forEach(profile => room.addBotPlayer(profile));
+    
+    if (options.fromMatchmaking) {
+      socket.emit('matchFound', { roomId, isBotMode: true, players: [], bots: room.getBotSummaries() });
+    }
+    socket.emit('roomJoined', {
+      roomId,
+      playerCount: room.players.size,
+      maxPlayers: room.players.size,
+      isBotMode: true,
+      bots: room.getBotSummaries(),
+      seed: room.seed
+    });
+    
+    // Start bot game immediately
+    console.log('Starting bot game...');
+    room.scheduleStart();
+  }
+  
+  return room;
+}
+
+// Race against a ghost replaying a recorded game - by default the player's own
+// best game, or another player's best (ghostOf) or a specific game (gameId)
+async function startGhostGame(playerId, socket, options = {}) {
+  const ghostOf = options.ghostOf || playerId;
+  const record = options.gameId ? playerStore.getGameRecord(options.gameId) : findBestGame(ghostOf);
+  const recordedPlayer = record && record.players[ghostOf];
+  
+  if (!recordedPlayer || recordedPlayer.isBot) {
+    socket.emit('error', { message: 'No recorded game to race' });
+    return null;
+  }
+  
+  const roomId = 'ghost_' + playerId;
+  
+  // Same questions and time limit as the recorded game; ghost races are unrated
+  const room = new GameRoom(roomId, true, record.rounds.length, {
+    timeLimit: record.timeLimit,
+    questions: record.rounds.map(round => round.question),
+    isRated: false
+  });
+  room.ghostOf = { playerId: ghostOf, gameId: record.gameId };
+  await replaceSoloRoom(roomId, room);
+  if (gameRooms.get(roomId) !== room) return room;
+  
+  room.addPlayer(playerId, socket);
+  playerSessions.get(playerId).currentRoom = roomId;
+  room.addGhostPlayer(record, ghostOf, ghostOf === playerId ? 'Your Ghost' : `Ghost of ${ghostOf.substring(0, 12)}`);
+  
+  socket.emit('roomJoined', {
+    roomId,
+    playerCount: room.players.size,
+    maxPlayers: room.players.size,
+    isBotMode: true,
+    isGhostMode: true,
+    bots: room.getBotSummaries(),
+    ghost: {
+      playerId: ghostOf,
+      gameId: record.gameId,
+      finalScore: recordedPlayer.finalScore,
+      accuracy: recordedPlayer.accuracy
+    }
+  });
+  
+  room.scheduleStart();
+  return room;
+}
+
+// The player's highest scoring recorded game
+function findBestGame(playerId) {
+  const profile = playerStore.getProfile(playerId);
+  const best = profile && profile.bestGame ? playerStore.getGameRecord(profile.bestGame.gameId) : null;
+  if (best) return best;
+  
+  // The best game may have aged out of the store - fall back to what's left
+  return playerStore.getPlayerGames(playerId)
+    .filter(record => !record.players[playerId].isBot)
+    .sort((a, b) => b.players[playerId].finalScore - a.players[playerId].finalScore)[0] || null;
+}
+
+// Put a group of matched players into a new private room and start it
+function startMatchedGame(playerIds, entries = []) {
+  const sessions = playerIds.map(id => playerSessions.get(id));
+  
+  // If anyone dropped while queued, the others go back to their place in the
+  // queue with the options they queued with
+  if (sessions.some(session => !session || session.disconnectedAt)) {
+    playerIds.forEach((id, index) => {
+      const session = sessions[index];
+      if (session && !session.disconnectedAt) {
+        const requeued = entries[index] ? matchmaker.requeue(entries[index]) : matchmaker.enqueue(id);
+        requeued.catch(error => console.error('Error requeueing player:', error));
       }
+    });
+    return;
+  }
+  
+  // The matchmaker only pairs players who queued for the same game
+  const options = (entries[0] && entries[0].options) || {};
+  const roomId = 'match_' + crypto.randomBytes(4).toString('hex');
+  const room = new GameRoom(roomId, false, options.questionCount, {
+    capacity: playerIds.length,
+    timeLimit: options.timeLimit,
+    hostId: playerIds[0],
+    name: 'Ranked match',
+    isPrivate: true
+  });
+  gameRooms.set(roomId, room);
+  
+  const players = playerIds.map(id => ({ playerId: id, ...ratingSystem.getRatingSummary(id) }));
+  playerIds.forEach((id, index) => {
+    const session = sessions[index];
+    
+    // Leave any room the player was still waiting in
+    if (session.currentRoom) {
+      leaveRoom(id, session.currentRoom);
     }
     
-    playerSessions.delete(playerId);
-    scoringSystem.resetPlayerStats(playerId);
+    room.addPlayer(id, session.socket);
+    session.currentRoom = roomId;
+    session.socket.emit('matchFound', { roomId, isBotMode: false, players });
+    session.socket.emit('roomJoined', {
+      roomId,
+      name: room.name,
+      isPrivate: true,
+      playerCount: playerIds.length,
+      maxPlayers: room.capacity,
+      isHost: room.hostId === id,
+      questionCount: room.maxRounds,
+      timeLimit: room.timeLimit,
+      seed: room.seed
+    });
   });
-});
+  
+  console.log(`Matched ${playerIds.join(', ')} into ${roomId}`);
+  room.scheduleStart();
+}
+
+// Room for a tournament pairing. Connected players who aren't mid-game are
+// seated straight away; anyone else can take their seat with joinRoom until
+// the no-show timer runs out.
+function startTournamentMatch(tournament, match) {
+  const roomId = `${tournament.tournamentId}_${match.matchId}`;
+  const room = new GameRoom(roomId, false, tournament.questionCount || DEFAULT_QUESTION_COUNT, {
+    capacity: match.players.length,
+    timeLimit: tournament.timeLimit,
+    name: `${tournament.name} - Round ${match.round}`,
+    isPrivate: true,
+    tournament: {
+      tournamentId: tournament.tournamentId,
+      matchId: match.matchId,
+      playerIds: match.players.slice()
+    }
+  });
+  gameRooms.set(roomId, room);
+  tournamentManager.attachRoom(tournament.tournamentId, match.matchId, roomId);
+  
+  for (const id of match.players) {
+    const session = playerSessions.get(id);
+    if (!session || session.disconnectedAt) continue;
+    
+    const currentRoom = session.currentRoom ? gameRooms.get(session.currentRoom) : null;
+    if (currentRoom && currentRoom.gameState === 'playing') {
+      // Still finishing another game - they join once it's over
+    } else {
+      if (currentRoom) {
+        leaveRoom(id, session.currentRoom);
+      }
+      matchmaker.dequeue(id);
+      room.addPlayer(id, session.socket);
+      session.currentRoom = roomId;
+      session.socket.emit('roomJoined', {
+        roomId,
+        name: room.name,
+        isPrivate: true,
+        playerCount: room.players.size,
+        maxPlayers: room.capacity,
+        isHost: room.hostId === id,
+        questionCount: room.maxRounds,
+        seed: room.seed
+      });
+    }
+    
+    session.socket.emit('tournamentMatchReady', {
+      tournamentId: tournament.tournamentId,
+      matchId: match.matchId,
+      round: match.round,
+      roomId,
+      opponents: match.players.filter(other => other !== id),
+      seated: room.players.has(id),
+      noShowTimeout: TOURNAMENT_NO_SHOW_MS
+    });
+  }
+  
+  if (room.isFull()) {
+    room.scheduleStart();
+  } else {
+    room.noShowTimer = setTimeout(() => {
+      room.runLater('forfeitNoShows', () => forfeitTournamentNoShows(room));
+    }, TOURNAMENT_NO_SHOW_MS);
+  }
+}
+
+// Players who never took their seat forfeit the match
+function forfeitTournamentNoShows(room) {
+  if (gameRooms.get(room.roomId) !== room || room.gameState !== 'waiting') return;
+  
+  const { tournamentId, matchId, playerIds } = room.tournament;
+  const absent = playerIds.filter(id => !room.players.has(id));
+  
+  for (const [id, player] of room.players) {
+    player.socket.emit('tournamentMatchForfeited', { tournamentId, matchId, absent });
+    player.socket.leave(room.roomId);
+    const session = playerSessions.get(id);
+    if (session && session.currentRoom === room.roomId) {
+      session.currentRoom = null;
+    }
+  }
+  
+  room.destroy();
+  gameRooms.delete(room.roomId);
+  tournamentManager.recordForfeit(tournamentId, matchId, absent);
+}
+
+// Final daily challenge standing for a player
+function getDailyChallengeResult(playerId, alreadyPlayed) {
+  const result = dailyChallenge.getResult(playerId);
+  return {
+    alreadyPlayed,
+    date: result.date,
+    score: result.score,
+    correctAnswers: result.correctAnswers,
+    totalQuestions: dailyChallenge.questionCount,
+    totalTime: Number(result.totalTime.toFixed(2)),
+    rank: dailyChallenge.getRank(playerId),
+    streak: dailyChallenge.getStreak(playerId),
+    leaderboard: dailyChallenge.getLeaderboard()
+  };
+}
+
+// Short, unambiguous code used as the room id for created rooms
+function generateJoinCode() {
+  let code;
+  do {
+    code = '';
+    const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+      code += JOIN_CODE_ALPHABET[bytes[i] % JOIN_CODE_ALPHABET.length];
+    }
+  } while (gameRooms.has(code) || clusterView.rooms.some(room => room.roomId === code));
+  return code;
+}
+
+// Public rooms still waiting for players, on this node or any other
+function listOpenRooms() {
+  const remoteRooms = clusterView.rooms
+    .filter(room => !room.isBotMode && !room.isPrivate && room.gameState === 'waiting' && room.playerCount < room.maxPlayers);
+  return Array.from(gameRooms.values())
+    .filter(room => !room.isBotMode && !room.isPrivate && room.gameState === 'waiting' && !room.isFull())
+    .map(room => room.getSummary())
+    .concat(remoteRooms.map(toRoomSummary))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Public games in progress, for spectators
+function listLiveRooms() {
+  const remoteRooms = clusterView.rooms
+    .filter(room => !room.isBotMode && !room.isPrivate && room.gameState === 'playing');
+  return Array.from(gameRooms.values())
+    .filter(room => !room.isBotMode && !room.isPrivate && room.gameState === 'playing')
+    .map(room => room.getSummary())
+    .concat(remoteRooms.map(toRoomSummary))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// A published room as the lobby lists it
+function toRoomSummary({ nodeId, isBotMode, isPrivate, ...summary }) {
+  return summary;
+}
+
+function publishRoom(room) {
+  publishedRooms.add(room.roomId);
+  return sharedState.saveRoom(room.roomId, {
+    ...room.getSummary(),
+    nodeId: clusterRouter.nodeId,
+    isBotMode: room.isBotMode,
+    isPrivate: room.isPrivate
+  }).catch(error => console.error('Error publishing room:', error.message));
+}
+
+// Hand a connection over to the node hosting a room this node doesn't have
+async function handOverToRoomHost(socket, playerId, roomId, event, data) {
+  const hostNode = roomId ? await clusterRouter.findRoomHost(roomId) : null;
+  if (!hostNode) return false;
+  
+  const session = playerSessions.get(playerId);
+  if (session.currentRoom) {
+    leaveRoom(playerId, session.currentRoom);
+    session.currentRoom = null;
+  }
+  session.hostNode = hostNode;
+  session.hostRoom = roomId;
+  matchmaker.dequeue(playerId);
+  
+  console.log(`Handing player ${playerId} over to node ${hostNode} for room ${roomId}`);
+  clusterRouter.attach(socket, hostNode);
+  clusterRouter.forward(socket, event, [data]);
+  return true;
+}
+
+// Ratings go on the shared leaderboard so every node ranks the same players
+function publishLeaderboardEntries(playerIds) {
+  for (const playerId of playerIds) {
+    const entry = scoringSystem.getLeaderboardEntry(playerId);
+    const update = !entry || scoringSystem.isExcludedFromLeaderboard(playerId) ?
+      sharedState.removeFromLeaderboard(SHARED_LEADERBOARD, playerId) :
+      sharedState.updateLeaderboard(SHARED_LEADERBOARD, playerId, entry.rating, entry);
+    update.catch(error => console.error('Error publishing leaderboard entry:', error.message));
+  }
+}
+
+// This node's standings plus players only other nodes have seen
+function getClusterLeaderboard(limit = 10) {
+  const leaderboard = scoringSystem.getLeaderboard(Infinity);
+  const known = new Set(leaderboard.map(entry => entry.playerId));
+  const remoteEntries = clusterView.leaderboard
+    .filter(entry => !known.has(entry.playerId) && !scoringSystem.isExcludedFromLeaderboard(entry.playerId))
+    .map(({ score, ...entry }) => entry);
+  
+  return leaderboard.concat(remoteEntries)
+    .sort(ScoringSystem.compareLeaderboardEntries)
+    .slice(0, limit);
+}
+
+// Publish this node's rooms and sessions, withdraw the ones that are gone
+// and pick up what the other nodes published
+async function syncSharedState() {
+  const nodeId = clusterRouter.nodeId;
+  
+  releaseIdleRemotePlayers();
+  await reclaimHandovers();
+  
+  const staleRooms = Array.from(publishedRooms).filter(roomId => !gameRooms.has(roomId));
+  staleRooms.forEach(roomId => publishedRooms.delete(roomId));
+  const staleSessions = Array.from(publishedSessions).filter(playerId => !playerSessions.has(playerId));
+  staleSessions.forEach(playerId => publishedSessions.delete(playerId));
+  
+  await Promise.all([
+    ...Array.from(gameRooms.values()).map(room => publishRoom(room)),
+    ...staleRooms.map(roomId => sharedState.deleteRoom(roomId)),
+    ...Array.from(playerSessions.keys()).map(playerId => publishSession(playerId)),
+    ...staleSessions.map(playerId => sharedState.deleteSession(playerId))
+  ]);
+  
+  const [rooms, sessions, leaderboard] = await Promise.all([
+    sharedState.listRooms(),
+    sharedState.listSessions(),
+    sharedState.getLeaderboard(SHARED_LEADERBOARD, SHARED_LEADERBOARD_SIZE)
+  ]);
+  clusterView.rooms = rooms.filter(room => room.nodeId !== nodeId);
+  clusterView.players = new Set(sessions.filter(session => !session.disconnectedAt).map(session => session.playerId)).size;
+  clusterView.leaderboard = leaderboard;
+}
+
+// Where a player is, so whichever node they reconnect to can find their game.
+// Their token is kept alive for as long as the session.
+function publishSession(playerId) {
+  const session = playerSessions.get(playerId);
+  if (!session) return Promise.resolve();
+  
+  publishedSessions.add(playerId);
+  return Promise.all([
+    sharedState.saveSession(playerId, {
+      playerId,
+      nodeId: clusterRouter.nodeId,
+      hostNode: session.hostNode || null,
+      hostRoom: session.hostRoom || null,
+      currentRoom: session.currentRoom,
+      connectedAt: session.connectedAt,
+      disconnectedAt: session.disconnectedAt
+    }),
+    session.playerToken ? sharedState.saveToken(session.playerToken, playerId) : null
+  ]);
+}
+
+// Take this node's rooms and sessions out of the shared state on shutdown
+async function leaveSharedState() {
+  await Promise.all([
+    ...Array.from(publishedRooms).map(roomId => sharedState.deleteRoom(roomId)),
+    ...Array.from(publishedSessions).map(playerId => sharedState.deleteSession(playerId))
+  ]);
+  await sharedState.close();
+}
+
+function stopSpectating(socket) {
+  const room = socket.data.spectating ? gameRooms.get(socket.data.spectating) : null;
+  if (room) {
+    room.removeSpectator(socket.id);
+  }
+  socket.data.spectating = null;
+}
+
+// Look up the player for a reconnect token, or issue a new identity. Tokens
+// of players with a session are shared, so a player whose reconnect lands on
+// another node keeps their id here. A new token is shared straight away
+// rather than at the next sync.
+async function resolvePlayerIdentity(playerToken) {
+  if (playerToken) {
+    const profile = playerStore.findProfileByToken(playerToken);
+    const playerId = profile ? profile.playerId : await sharedState.findPlayerByToken(playerToken)
+      .catch(error => console.error('Error looking up player token:', error.message));
+    
+    if (playerId) {
+      if (!profile) {
+        playerStore.touchProfile(playerId, { token: playerToken });
+      }
+      return { playerId, playerToken };
+    }
+  }
+  
+  const playerId = 'player_' + crypto.randomBytes(6).toString('hex');
+  const newToken = crypto.randomBytes(24).toString('hex');
+  playerStore.touchProfile(playerId, { token: newToken });
+  await sharedState.saveToken(newToken, playerId)
+    .catch(error => console.error('Error sharing player token:', error.message));
+  return { playerId, playerToken: newToken };
+}
+
+// The node running a player's game and the room it's in, from the session
+// another node published
+function findRemoteGame(session) {
+  if (!session) return null;
+  const hostNode = session.hostNode || (session.currentRoom ? session.nodeId : null);
+  if (!hostNode || hostNode === clusterRouter.nodeId) return null;
+  return { hostNode, hostRoom: session.hostNode ? session.hostRoom : session.currentRoom };
+}
+
+// A handed-over player is back on this node: their game on the host is over,
+// the host or their room went away, or they've moved on to something else
+function releaseHandover(playerId, hostNode) {
+  const session = playerSessions.get(playerId);
+  if (!session || !session.hostNode || session.hostNode !== hostNode) return;
+  
+  console.log(`Player ${playerId} is back from node ${hostNode}`);
+  session.hostNode = null;
+  session.hostRoom = null;
+}
+
+// Take back handed-over players whose room is no longer on the node they
+// were handed to - it ended, or the node stopped publishing
+async function reclaimHandovers() {
+  const handedOver = Array.from(playerSessions.entries())
+    .filter(([, session]) => session.hostNode && !session.socket.data.remote);
+  
+  await Promise.all(handedOver.map(async ([playerId, session]) => {
+    const { hostNode, hostRoom } = session;
+    const roomHost = hostRoom ? await clusterRouter.findRoomHost(hostRoom) : null;
+    if (roomHost === hostNode || session.hostNode !== hostNode) return;
+    
+    clusterRouter.detach(session.socket);
+    releaseHandover(playerId, hostNode);
+  }));
+}
+
+// On the host: send players from other nodes back once they're no longer in
+// a game or watching one here. Newly handed-over players get a moment to
+// take their seat first.
+function releaseIdleRemotePlayers(now = Date.now()) {
+  for (const socket of Array.from(clusterRouter.remoteSockets.values())) {
+    if (now - socket.connectedAt < SHARED_STATE_SYNC_MS || socket.data.spectating) continue;
+    
+    const session = playerSessions.get(socket.data.identity.playerId);
+    const room = session && session.currentRoom ? gameRooms.get(session.currentRoom) : null;
+    if (!room || room.gameState === 'finished') {
+      clusterRouter.release(socket);
+    }
+  }
+}
+
+// Remove a player whose grace period ran out without a resume
+function finalizeDisconnect(playerId, roomId) {
+  const session = playerSessions.get(playerId);
+  if (!session || !session.disconnectedAt) return;
+  
+  if (roomId) {
+    leaveRoom(playerId, roomId);
+  }
+  
+  playerSessions.delete(playerId);
+  playerStore.touchProfile(playerId);
+}
+
+function leaveRoom(playerId, roomId) {
+  const room = gameRooms.get(roomId);
+  if (!room) return;
+  
+  room.runLater('leaveRoom', () => {
+    room.removePlayer(playerId);
+    
+    // Notify other players
+    const left = {
+      playerId,
+      playerCount: room.players.size,
+      hostId: room.hostId
+    };
+    io.to(roomId).emit('playerLeft', left);
+    room.broadcastToSpectators('playerLeft', left);
+    
+    // If room becomes empty, clean it up - the id may have been reused by now
+    if (room.players.size === 0) {
+      room.destroy();
+      if (gameRooms.get(roomId) === room) {
+        gameRooms.delete(roomId);
+      }
+    }
+  });
+}
 
-// Periodic ML model retraining
-setInterval(() => {
-  mlGenerator.retrainModel();
-}, 300000); // Every 5 minutes
+let syncingSharedState = false;
+function syncSharedStateInBackground() {
+  if (syncingSharedState) return;
+  syncingSharedState = true;
+  syncSharedState()
+    .catch(error => console.error('Error syncing shared state:', error.message))
+    .finally(() => { syncingSharedState = false; });
+}
+
+// Periodic ML model retraining, on a worker thread so games aren't held up
+function retrainInBackground() {
+  mlGenerator.retrainModelInBackground()
+    .then(report => gameMetrics.recordRetrain(report))
+    .catch(error => console.error('Retrain failed:', error));
+}
+
+// Totals across every room's command queue
+function getRoomCommandStats() {
+  const totals = { pending: 0, maxDepth: 0, processed: 0, failed: 0 };
+  for (const room of gameRooms.values()) {
+    const stats = room.commands.getStats();
+    totals.pending += stats.pending;
+    totals.maxDepth = Math.max(totals.maxDepth, stats.maxDepth);
+    totals.processed += stats.processed;
+    totals.failed += stats.failed;
+  }
+  return totals;
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -716,24 +2659,92 @@ app.get('/health', (req, res) => {
     scoring: scoringSystem.getAnalytics(),
     activeRooms: gameRooms.size,
     connectedPlayers: playerSessions.size,
+    roomCommands: getRoomCommandStats(),
+    cluster: {
+      ...clusterRouter.getStats(),
+      remoteRooms: clusterView.rooms.length,
+      connectedPlayers: clusterView.players
+    },
     mlModel: {
       trained: mlGenerator.trained,
+      version: mlGenerator.modelVersion,
+      metrics: mlGenerator.modelMetrics,
+      retraining: mlGenerator.retraining,
       playerCount: mlGenerator.playerPerformanceHistory.size
-    }
+    },
+    storedProfiles: playerStore.profiles.size,
+    quarantinedPlayers: antiCheat.getQuarantinedPlayers().length,
+    matchmaking: matchmaker.getStats(),
+    dailyChallenge: dailyChallenge.getSummary(),
+    tournaments: tournamentManager.getStats()
   };
   
   res.json(stats);
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Enhanced Math Game Server running on port ${PORT}`);
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', GameMetrics.CONTENT_TYPE);
+  res.send(gameMetrics.render());
+});
+
+const backgroundTimers = [];
+
+// Background work and the listener. Only runs when this file is started
+// directly, so tests can require the game code without a server. Stores kept
+// in Redis are loaded first.
+async function start(port = process.env.PORT || 3000) {
+  await Promise.all([playerStore.open(), replayStore.open()]);
+  concurrencyManager.startCleanupInterval();
+  matchmaker.start();
+  dailyChallenge.start();
+  backgroundTimers.push(
+    setInterval(syncSharedStateInBackground, SHARED_STATE_SYNC_MS),
+    setInterval(retrainInBackground, 300000) // Every 5 minutes
+  );
+  
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  
+  server.listen(port, () => {
+    console.log(`Enhanced Math Game Server running on port ${port}`);
   console.log('Features enabled:');
   console.log('- ML-powered question generation');
   console.log('- Real-time competitive multiplayer');
   console.log('- Sophisticated scoring system');
   console.log('- Concurrency control with mutex/threading');
   console.log('- UDP-like reliable communication');
-});
+  console.log('- Persistent player profiles and stats');
+  });
+}
+
+// Stop background work and flush player data
+function stop() {
+  backgroundTimers.splice(0).forEach(timer => clearInterval(timer));
+  matchmaker.stop();
+  dailyChallenge.stop();
+  // Don't wait forever on an unreachable shared state server. The stores
+  // finish writing before the connection they may share with it closes.
+  const sharedStateLeft = Promise.race([
+    Promise.all([playerStore.close(), replayStore.close()])
+      .then(leaveSharedState)
+      .catch(error => console.error('Error leaving shared state:', error.message)),
+    new Promise(resolve => setTimeout(resolve, 2000).unref())
+  ]);
+  return Promise.all([concurrencyManager.close(), sharedStateLeft]);
+}
+
+const shutdown = () => {
+  stop().finally(() => process.exit(0));
+};
+
+if (require.main === module) {
+  start().catch(error => {
+    console.error('Error starting server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, server, io, GameRoom, gameRooms, start, stop };
 
 
@@ -0,0 +1,277 @@
+// State shared between server processes: a directory of rooms, player
+// sessions, reconnect tokens and leaderboards. Rooms, sessions and tokens
+// expire unless the node that owns them keeps saving them, so a node that
+// dies drops out on its own.
+const DEFAULT_TTL = 30000;
+const DEFAULT_PREFIX = 'mathrace:';
+
+// Single-process state (the default)
+class MemorySharedState {
+  constructor(options = {}) {
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.entries = { room: new Map(), session: new Map(), token: new Map() }; // id -> { value, expiresAt }
+    this.lastPruned = {}; // kind -> when its expired entries were last dropped
+    this.leaderboards = new Map(); // board -> Map(playerId -> { score, entry })
+  }
+
+  saveEntry(kind, id, value) {
+    const now = Date.now();
+    this.entries[kind].set(id, { value, expiresAt: now + this.ttl });
+    this.pruneExpired(kind, now);
+  }
+
+  // Entries that are never read again would otherwise stay for good, so each
+  // kind is swept at most once per ttl
+  pruneExpired(kind, now = Date.now()) {
+    if (now - (this.lastPruned[kind] || 0) < this.ttl) return;
+
+    this.lastPruned[kind] = now;
+    for (const [id, entry] of this.entries[kind]) {
+      if (entry.expiresAt <= now) this.entries[kind].delete(id);
+    }
+  }
+
+  getEntry(kind, id) {
+    const entry = this.entries[kind].get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries[kind].delete(id);
+      return null;
+    }
+    return entry.value;
+  }
+
+  listEntries(kind) {
+    return Array.from(this.entries[kind].keys())
+      .map(id => this.getEntry(kind, id))
+      .filter(Boolean);
+  }
+
+  // Rooms: { nodeId, ...summary } for every room in the cluster
+  async saveRoom(roomId, room) {
+    this.saveEntry('room', roomId, room);
+  }
+
+  async getRoom(roomId) {
+    return this.getEntry('room', roomId);
+  }
+
+  async deleteRoom(roomId) {
+    this.entries.room.delete(roomId);
+  }
+
+  async listRooms() {
+    return this.listEntries('room');
+  }
+
+  // Sessions: where each connected player is and which node has them
+  async saveSession(playerId, session) {
+    this.saveEntry('session', playerId, session);
+  }
+
+  async getSession(playerId) {
+    return this.getEntry('session', playerId);
+  }
+
+  async deleteSession(playerId) {
+    this.entries.session.delete(playerId);
+  }
+
+  async listSessions() {
+    return this.listEntries('session');
+  }
+
+  // Reconnect tokens of players with a session, so any node can tell who a
+  // returning player is
+  async saveToken(playerToken, playerId) {
+    this.saveEntry('token', playerToken, playerId);
+  }
+
+  async findPlayerByToken(playerToken) {
+    return this.getEntry('token', playerToken);
+  }
+
+  // Leaderboards are ranked by score, highest first, and keep an entry per player
+  async updateLeaderboard(board, playerId, score, entry = {}) {
+    if (!this.leaderboards.has(board)) {
+      this.leaderboards.set(board, new Map());
+    }
+    this.leaderboards.get(board).set(playerId, { score, entry });
+  }
+
+  async removeFromLeaderboard(board, playerId) {
+    const leaderboard = this.leaderboards.get(board);
+    if (leaderboard) leaderboard.delete(playerId);
+  }
+
+  async getLeaderboard(board, limit = 10, offset = 0) {
+    const leaderboard = this.leaderboards.get(board) || new Map();
+    return Array.from(leaderboard.entries())
+      .map(([playerId, { score, entry }]) => ({ ...entry, playerId, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(offset, offset + limit);
+  }
+
+  // One process needs no Socket.IO adapter beyond the default
+  createAdapter() {
+    return null;
+  }
+
+  async close() {}
+}
+
+// State kept in Redis (or anything that speaks its protocol), shared by every
+// node pointed at it. `client` is an ioredis client or one with the same API.
+class RedisSharedState {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.prefix = options.prefix || DEFAULT_PREFIX;
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(':');
+  }
+
+  // Each kind has a set indexing its keys, since keys expire on their own
+  async saveEntry(kind, id, value) {
+    await Promise.all([
+      this.client.set(this.key(kind, id), JSON.stringify(value), 'PX', this.ttl),
+      this.client.sadd(this.key(kind, 'index'), id)
+    ]);
+  }
+
+  async getEntry(kind, id) {
+    const value = await this.client.get(this.key(kind, id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async deleteEntry(kind, id) {
+    await Promise.all([
+      this.client.del(this.key(kind, id)),
+      this.client.srem(this.key(kind, 'index'), id)
+    ]);
+  }
+
+  // Index entries whose key has expired are pruned as they're found
+  async listEntries(kind) {
+    const ids = await this.client.smembers(this.key(kind, 'index'));
+    if (ids.length === 0) return [];
+
+    const values = await this.client.mget(...ids.map(id => this.key(kind, id)));
+    const expired = ids.filter((id, index) => values[index] === null);
+    if (expired.length > 0) {
+      await this.client.srem(this.key(kind, 'index'), ...expired);
+    }
+    return values.filter(value => value !== null).map(value => JSON.parse(value));
+  }
+
+  async saveRoom(roomId, room) {
+    await this.saveEntry('room', roomId, room);
+  }
+
+  async getRoom(roomId) {
+    return this.getEntry('room', roomId);
+  }
+
+  async deleteRoom(roomId) {
+    await this.deleteEntry('room', roomId);
+  }
+
+  async listRooms() {
+    return this.listEntries('room');
+  }
+
+  async saveSession(playerId, session) {
+    await this.saveEntry('session', playerId, session);
+  }
+
+  async getSession(playerId) {
+    return this.getEntry('session', playerId);
+  }
+
+  async deleteSession(playerId) {
+    await this.deleteEntry('session', playerId);
+  }
+
+  async listSessions() {
+    return this.listEntries('session');
+  }
+
+  // Tokens are only ever looked up one at a time, so they need no index
+  async saveToken(playerToken, playerId) {
+    await this.client.set(this.key('token', playerToken), playerId, 'PX', this.ttl);
+  }
+
+  async findPlayerByToken(playerToken) {
+    return this.client.get(this.key('token', playerToken));
+  }
+
+  // A sorted set for the ranking and a hash for the entries
+  async updateLeaderboard(board, playerId, score, entry = {}) {
+    await Promise.all([
+      this.client.zadd(this.key('leaderboard', board), score, playerId),
+      this.client.hset(this.key('leaderboard', board, 'entries'), playerId, JSON.stringify(entry))
+    ]);
+  }
+
+  async removeFromLeaderboard(board, playerId) {
+    await Promise.all([
+      this.client.zrem(this.key('leaderboard', board), playerId),
+      this.client.hdel(this.key('leaderboard', board, 'entries'), playerId)
+    ]);
+  }
+
+  async getLeaderboard(board, limit = 10, offset = 0) {
+    const ranked = await this.client.zrevrange(this.key('leaderboard', board), offset, offset + limit - 1, 'WITHSCORES');
+    if (ranked.length === 0) return [];
+
+    const playerIds = ranked.filter((value, index) => index % 2 === 0);
+    const entries = await this.client.hmget(this.key('leaderboard', board, 'entries'), ...playerIds);
+    return playerIds.map((playerId, index) => ({
+      ...(entries[index] ? JSON.parse(entries[index]) : {}),
+      playerId,
+      score: Number(ranked[index * 2 + 1])
+    }));
+  }
+
+  // Socket.IO broadcasts and room membership across every node. Pub/sub
+  // needs connections of its own.
+  createAdapter() {
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pubClient = this.client.duplicate();
+    const subClient = this.client.duplicate();
+    for (const client of [pubClient, subClient]) {
+      client.on('error', error => console.error('Socket.IO adapter connection error:', error.message));
+    }
+    return createAdapter(pubClient, subClient, { key: this.key('socket.io') });
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+// STATE_STORE=redis shares state through REDIS_URL; the default keeps it in
+// this process
+function createSharedState(options = {}) {
+  const type = options.type || process.env.STATE_STORE || 'memory';
+
+  if (type !== 'redis') {
+    return new MemorySharedState(options);
+  }
+
+  let client = options.client;
+  if (!client) {
+    const Redis = require('ioredis');
+    client = new Redis(options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+    client.on('error', error => console.error('Shared state connection error:', error.message));
+  }
+  return new RedisSharedState(client, options);
+}
+
+module.exports = {
+  MemorySharedState,
+  RedisSharedState,
+  createSharedState
+};
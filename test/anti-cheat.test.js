@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AntiCheat = require('../anti-cheat');
+const { MemoryPlayerStore } = require('../player-store');
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2026, 0, 1);
+
+function createAntiCheat() {
+  const store = new MemoryPlayerStore();
+  store.touchProfile('player_a');
+  return new AntiCheat(store, null, { strikeThreshold: 3, strikeWindowMs: 15 * MINUTE });
+}
+
+// Date.now() stays at the last minute struck, until the next strike
+function useClock(t) {
+  let now = START;
+  t.mock.method(Date, 'now', () => now);
+  return (antiCheat, minutes) => {
+    for (const minute of minutes) {
+      now = START + minute * MINUTE;
+      antiCheat.flagPlayer('player_a', 'fastAnswer');
+    }
+  };
+}
+
+test('enough strikes within the window quarantine a player', t => {
+  const strikeAt = useClock(t);
+  const antiCheat = createAntiCheat();
+  strikeAt(antiCheat, [0, 5, 14]);
+
+  assert.strictEqual(antiCheat.isQuarantined('player_a'), true);
+  assert.strictEqual(antiCheat.store.getProfile('player_a').strikes, 3);
+});
+
+test('strikes older than the window lapse', t => {
+  const strikeAt = useClock(t);
+  const antiCheat = createAntiCheat();
+  strikeAt(antiCheat, [0, 10, 20, 30, 40]);
+
+  assert.strictEqual(antiCheat.isQuarantined('player_a'), false);
+  assert.strictEqual(antiCheat.store.getProfile('player_a').strikes, 2);
+  assert.strictEqual(antiCheat.store.getProfile('player_a').flags.length, 5);
+});
+
+test('a released player starts again from no strikes', t => {
+  const strikeAt = useClock(t);
+  const antiCheat = createAntiCheat();
+  strikeAt(antiCheat, [0, 1, 2]);
+  assert.strictEqual(antiCheat.isQuarantined('player_a'), true);
+  antiCheat.releasePlayer('player_a');
+  strikeAt(antiCheat, [3, 4]);
+
+  assert.strictEqual(antiCheat.isQuarantined('player_a'), false);
+  assert.strictEqual(antiCheat.store.getProfile('player_a').strikes, 2);
+});
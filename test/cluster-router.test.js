@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const ClusterRouter = require('../cluster-router');
+
+// Enough of a Socket.IO server for the router. serverSideEmit reaches every
+// other node on the same bus, as it does through the Redis adapter.
+function createIo(bus) {
+  const io = {
+    handlers: new Map(),
+    sockets: { sockets: new Map() },
+    sent: [],
+    on(event, handler) {
+      this.handlers.set(event, handler);
+    },
+    serverSideEmit(event, message) {
+      for (const other of bus) {
+        if (other !== io && other.handlers.has(event)) {
+          other.handlers.get(event)(JSON.parse(JSON.stringify(message)));
+        }
+      }
+    },
+    to(socketId) {
+      return { emit: (event, ...args) => io.sent.push({ socketId, event, args }) };
+    }
+  };
+  bus.push(io);
+  return io;
+}
+
+// A client connection: received events go through middleware, then handlers
+function createSocket(io, id, playerId) {
+  const socket = new EventEmitter();
+  socket.id = id;
+  socket.data = { identity: { playerId, playerToken: `token-${playerId}` } };
+  socket.middleware = [];
+  socket.use = fn => socket.middleware.push(fn);
+  socket.receive = (event, ...args) => {
+    let index = 0;
+    const next = () => {
+      const fn = socket.middleware[index++];
+      if (fn) fn([event, ...args], next);
+      else socket.emit(event, ...args);
+    };
+    next();
+  };
+  io.sockets.sockets.set(id, socket);
+  return socket;
+}
+
+function createCluster() {
+  const bus = [];
+  const hosted = []; // { event, args } run by the host
+  const released = []; // [playerId, hostNode] on the player's node
+
+  const host = new ClusterRouter(createIo(bus), null, {
+    nodeId: 'node-a',
+    onRemoteConnection: socket => {
+      for (const event of ['submitAnswer', 'disconnect']) {
+        socket.on(event, (...args) => hosted.push({ event, args }));
+      }
+    }
+  });
+  const home = new ClusterRouter(createIo(bus), null, {
+    nodeId: 'node-b',
+    localEvents: ['findMatch'],
+    onRelease: (playerId, hostNode) => released.push([playerId, hostNode])
+  });
+
+  const socket = createSocket(home.io, 'socket_1', 'player_a');
+  const local = [];
+  for (const event of ['submitAnswer', 'findMatch']) {
+    socket.on(event, (...args) => local.push({ event, args }));
+  }
+
+  return { host, home, socket, hosted, local, released };
+}
+
+test('an attached socket\'s events run on the host', () => {
+  const { host, home, socket, hosted, local } = createCluster();
+  home.attach(socket, 'node-a');
+  socket.receive('submitAnswer', { answer: '4' });
+
+  assert.deepStrictEqual(hosted, [{ event: 'submitAnswer', args: [{ answer: '4' }] }]);
+  assert.deepStrictEqual(local, []);
+  assert.strictEqual(host.remoteSockets.get('socket_1').data.identity.playerId, 'player_a');
+});
+
+test('the host releasing a player hands their socket back to their node', () => {
+  const { host, home, socket, hosted, local, released } = createCluster();
+  home.attach(socket, 'node-a');
+  socket.receive('submitAnswer', { answer: '4' });
+
+  host.release(host.remoteSockets.get('socket_1'));
+
+  assert.strictEqual(host.remoteSockets.size, 0);
+  assert.deepStrictEqual(hosted[1], { event: 'disconnect', args: [ClusterRouter.RELEASED] });
+  assert.deepStrictEqual(released, [['player_a', 'node-a']]);
+  assert.strictEqual(socket.data.hostNode, null);
+
+  socket.receive('submitAnswer', { answer: '5' });
+  socket.emit('disconnect', 'transport close');
+  assert.strictEqual(hosted.length, 2);
+  assert.deepStrictEqual(local, [{ event: 'submitAnswer', args: [{ answer: '5' }] }]);
+});
+
+test('a local event takes the player back and tells the host to drop them', () => {
+  const { host, home, socket, hosted, local, released } = createCluster();
+  home.attach(socket, 'node-a');
+  socket.receive('submitAnswer', { answer: '4' });
+  socket.receive('findMatch', {});
+
+  assert.deepStrictEqual(released, [['player_a', 'node-a']]);
+  assert.deepStrictEqual(local, [{ event: 'findMatch', args: [{}] }]);
+  assert.deepStrictEqual(hosted[1], { event: 'disconnect', args: [ClusterRouter.RELEASED] });
+  assert.strictEqual(host.remoteSockets.size, 0);
+});
+
+test('a detached socket can be handed over again without forwarding twice', () => {
+  const { host, home, socket, hosted, local } = createCluster();
+  home.attach(socket, 'node-a');
+  home.detach(socket);
+  socket.receive('submitAnswer', { answer: '4' });
+
+  home.attach(socket, 'node-a');
+  socket.receive('submitAnswer', { answer: '5' });
+
+  assert.deepStrictEqual(local, [{ event: 'submitAnswer', args: [{ answer: '4' }] }]);
+  assert.deepStrictEqual(hosted, [{ event: 'submitAnswer', args: [{ answer: '5' }] }]);
+  assert.strictEqual(home.getStats().forwarded, 2); // The detach and the answer
+  assert.strictEqual(host.remoteSockets.size, 1);
+});
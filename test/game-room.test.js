@@ -0,0 +1,109 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+// Nothing from the tests should end up on disk
+process.env.PLAYER_STORE = 'memory';
+process.env.REPLAY_STORE = 'memory';
+process.env.STATE_STORE = 'memory';
+process.env.MODEL_DIR = path.join(os.tmpdir(), `mathrace-test-models-${process.pid}`);
+
+const { GameRoom, stop } = require('../server');
+
+const ROUNDS = 3;
+const SUBMISSIONS_PER_PLAYER = 10;
+const TRANSITIONS_PER_ROUND = 5;
+
+after(() => stop());
+
+// Enough of a Socket.IO socket for a room, keeping what it's sent
+function createSocket(id) {
+  return {
+    id,
+    data: {},
+    events: [],
+    emit(event, data) {
+      this.events.push({ event, data });
+    },
+    join() {},
+    leave() {}
+  };
+}
+
+const countEvents = (socket, event, filter = () => true) =>
+  socket.events.filter(entry => entry.event === event && filter(entry.data)).length;
+
+test('concurrent answers and round transitions score each player once per round', async () => {
+  const room = new GameRoom('test_concurrent', false, ROUNDS, { capacity: 3 });
+  const sockets = ['player_a', 'player_b', 'player_c'].map(createSocket);
+  sockets.forEach(socket => room.addPlayer(socket.id, socket));
+
+  try {
+    await room.run('startGame', () => room.startGame());
+
+    for (let round = 1; round <= ROUNDS; round++) {
+      assert.strictEqual(room.roundNumber, round);
+      const answer = room.currentQuestion.answer;
+
+      // Every player hammers the room at once: through the room's queue like
+      // the submitAnswer handler, and straight at processAnswer
+      const submissions = [];
+      for (const socket of sockets) {
+        for (let i = 0; i < SUBMISSIONS_PER_PLAYER; i++) {
+          submissions.push(room.run('submitAnswer', () => room.processAnswer(socket.id, answer, 1, { round })));
+          submissions.push(room.processAnswer(socket.id, answer, 1, { round }));
+        }
+      }
+
+      // Round timers, result timers and duplicate requests all asking to move
+      // on, some for rounds that have already started
+      const transitions = [];
+      for (let i = 0; i < TRANSITIONS_PER_ROUND; i++) {
+        transitions.push(room.run('nextRound', () => room.nextRound(round + 1)));
+        transitions.push(room.run('nextRound', () => room.nextRound(round)));
+      }
+
+      const accepted = await Promise.all(submissions);
+      await Promise.all(transitions);
+
+      assert.strictEqual(accepted.filter(Boolean).length, sockets.length, `round ${round}: one scored answer per player`);
+      assert.deepStrictEqual(Object.keys(room.rounds[round - 1].answers).sort(), sockets.map(socket => socket.id).sort());
+      for (const socket of sockets) {
+        assert.strictEqual(countEvents(socket, 'answerResult'), round, `${socket.id} scored once in round ${round}`);
+        assert.strictEqual(room.players.get(socket.id).questionsAnswered, round);
+      }
+    }
+
+    assert.strictEqual(room.gameState, 'finished');
+    assert.strictEqual(room.rounds.length, ROUNDS);
+    for (const socket of sockets) {
+      for (let round = 1; round <= ROUNDS; round++) {
+        assert.strictEqual(countEvents(socket, 'newQuestion', data => data.round === round), 1, `round ${round} started once`);
+      }
+      assert.strictEqual(countEvents(socket, 'gameEnd'), 1);
+    }
+  } finally {
+    room.destroy();
+  }
+});
+
+test('answers for a round that has already ended are dropped', async () => {
+  const room = new GameRoom('test_stale', false, ROUNDS, { capacity: 2 });
+  const sockets = ['player_d', 'player_e'].map(createSocket);
+  sockets.forEach(socket => room.addPlayer(socket.id, socket));
+
+  try {
+    await room.run('startGame', () => room.startGame());
+    await Promise.all(sockets.map(socket =>
+      room.run('submitAnswer', () => room.processAnswer(socket.id, room.currentQuestion.answer, 1, { round: 1 }))));
+    await room.run('nextRound', () => room.nextRound(2));
+
+    const late = await room.run('submitAnswer', () => room.processAnswer('player_d', '0', 1, { round: 1 }));
+    assert.strictEqual(late, false);
+    assert.strictEqual(room.players.get('player_d').questionsAnswered, 1);
+    assert.strictEqual(room.rounds[1].answers.player_d, undefined);
+  } finally {
+    room.destroy();
+  }
+});
@@ -0,0 +1,55 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const Matchmaker = require('../matchmaker');
+const ConcurrencyManager = require('../concurrency-manager');
+const RatingSystem = require('../rating-system');
+
+const concurrencyManager = new ConcurrencyManager();
+after(() => concurrencyManager.close());
+
+function createMatchmaker() {
+  const matches = [];
+  const matchmaker = new Matchmaker(concurrencyManager, new RatingSystem(), {
+    onMatch: (playerIds, entries) => matches.push(entries)
+  });
+  return { matchmaker, matches };
+}
+
+test('players are only matched with others who asked for the same game', async () => {
+  const { matchmaker, matches } = createMatchmaker();
+  await matchmaker.enqueue('player_a', { questionCount: 5, timeLimit: 30 });
+  await matchmaker.enqueue('player_b', { questionCount: 10, timeLimit: 30 });
+  await matchmaker.enqueue('player_c', { questionCount: 5, timeLimit: 15 });
+
+  assert.strictEqual(matches.length, 0);
+  assert.deepStrictEqual(['player_a', 'player_b', 'player_c'].map(id => matchmaker.isQueued(id)), [true, true, true]);
+
+  await matchmaker.enqueue('player_d', { questionCount: 10, timeLimit: 30 });
+  await matchmaker.enqueue('player_e', { questionCount: 5, timeLimit: 30 });
+
+  assert.deepStrictEqual(matches.map(entries => entries.map(entry => entry.playerId)), [
+    ['player_b', 'player_d'],
+    ['player_a', 'player_e']
+  ]);
+  assert.deepStrictEqual(matches[1].map(entry => entry.options), [
+    { questionCount: 5, timeLimit: 30 },
+    { questionCount: 5, timeLimit: 30 }
+  ]);
+  assert.strictEqual(matchmaker.isQueued('player_c'), true);
+  matchmaker.dequeue('player_c');
+});
+
+test('a requeued player keeps their options and is matched on them', async () => {
+  const { matchmaker, matches } = createMatchmaker();
+  await matchmaker.enqueue('player_f', { questionCount: 5, timeLimit: 20 });
+  const entry = { playerId: 'player_f', ...matchmaker.waiting.get('player_f') };
+  matchmaker.dequeue('player_f');
+
+  await matchmaker.requeue(entry);
+  await matchmaker.enqueue('player_g', { questionCount: 10, timeLimit: 20 });
+  assert.strictEqual(matches.length, 0);
+
+  await matchmaker.enqueue('player_h', { questionCount: 5, timeLimit: 20 });
+  assert.deepStrictEqual(matches.map(entries => entries.map(match => match.playerId)), [['player_f', 'player_h']]);
+  matchmaker.dequeue('player_g');
+});
@@ -0,0 +1,235 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { RedisPlayerStore } = require('../player-store');
+const { RedisReplayStore } = require('../replay-store');
+const AntiCheat = require('../anti-cheat');
+const ScoringSystem = require('../scoring-system');
+const MLQuestionGenerator = require('../ml-question-generator');
+
+// In-memory stand-in for an ioredis client with the commands the Redis stores
+// use. Clients duplicated from one another share their data and channels, so
+// each store opened on one acts as another node. Messages arrive on a later
+// tick, as they would over the network.
+class FakeRedis {
+  constructor(server = { data: new Map(), subscribers: new Set() }) {
+    this.server = server;
+    this.channels = new Set();
+    this.handlers = new Map();
+    this.closed = false;
+  }
+
+  duplicate() {
+    return new FakeRedis(this.server);
+  }
+
+  on(event, handler) {
+    this.handlers.set(event, handler);
+    return this;
+  }
+
+  read(key, create) {
+    if (!this.server.data.has(key) && create) {
+      this.server.data.set(key, create());
+    }
+    return this.server.data.get(key);
+  }
+
+  async get(key) {
+    return this.read(key) || null;
+  }
+
+  async set(key, value) {
+    this.server.data.set(key, String(value));
+    return 'OK';
+  }
+
+  async del(...keys) {
+    return keys.filter(key => this.server.data.delete(key)).length;
+  }
+
+  async hset(key, field, value) {
+    this.read(key, () => new Map()).set(field, String(value));
+    return 1;
+  }
+
+  async hdel(key, field) {
+    const hash = this.read(key);
+    return hash && hash.delete(field) ? 1 : 0;
+  }
+
+  async hgetall(key) {
+    return Object.fromEntries(this.read(key) || []);
+  }
+
+  async sadd(key, ...members) {
+    const set = this.read(key, () => new Set());
+    members.forEach(member => set.add(member));
+    return members.length;
+  }
+
+  async srem(key, ...members) {
+    const set = this.read(key);
+    return set ? members.filter(member => set.delete(member)).length : 0;
+  }
+
+  async smembers(key) {
+    return Array.from(this.read(key) || []);
+  }
+
+  async rpush(key, ...values) {
+    const list = this.read(key, () => []);
+    list.push(...values.map(String));
+    return list.length;
+  }
+
+  async ltrim(key, start, stop) {
+    this.server.data.set(key, await this.lrange(key, start, stop));
+    return 'OK';
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.read(key) || [];
+    const from = start < 0 ? Math.max(0, list.length + start) : start;
+    const to = stop < 0 ? list.length + stop : stop;
+    return list.slice(from, to + 1);
+  }
+
+  async publish(channel, message) {
+    const subscribers = Array.from(this.server.subscribers).filter(client => client.channels.has(channel));
+    setImmediate(() => subscribers.forEach(client => client.handlers.get('message')(channel, message)));
+    return subscribers.length;
+  }
+
+  async subscribe(channel) {
+    this.channels.add(channel);
+    this.server.subscribers.add(this);
+  }
+
+  async quit() {
+    this.closed = true;
+    this.server.subscribers.delete(this);
+    return 'OK';
+  }
+}
+
+const delivered = () => new Promise(resolve => setImmediate(resolve));
+
+// Stores on one Redis, each standing in for a node
+async function openNodes(Store, count, redis = new FakeRedis()) {
+  const stores = [];
+  for (let i = 0; i < count; i++) {
+    const store = new Store(redis.duplicate());
+    await store.open();
+    stores.push(store);
+  }
+  return stores;
+}
+
+async function closeAll(stores) {
+  await Promise.all(stores.map(store => store.close()));
+}
+
+describe('redis player store', () => {
+  test('a quarantine, rating or daily result on one node is seen on another', async () => {
+    const [storeA, storeB] = await openNodes(RedisPlayerStore, 2);
+    const antiCheatA = new AntiCheat(storeA, null, { strikeThreshold: 2 });
+    const antiCheatB = new AntiCheat(storeB, null, { strikeThreshold: 2 });
+
+    antiCheatA.flagPlayer('player_a', 'fastAnswer');
+    antiCheatA.flagPlayer('player_a', 'fastAnswer');
+    storeA.saveRating('player_a', { rating: 1620, rd: 80, volatility: 0.06 });
+    storeA.saveDailyResult('2026-01-01', 'player_a', { playerId: 'player_a', score: 900 });
+    await storeA.flush();
+    await delivered();
+
+    assert.strictEqual(antiCheatB.isQuarantined('player_a'), true);
+    assert.strictEqual(storeB.getProfile('player_a').strikes, 2);
+    assert.deepStrictEqual(storeB.getRating('player_a'), { rating: 1620, rd: 80, volatility: 0.06 });
+    assert.deepStrictEqual(storeB.getDailyResults('2026-01-01'), [{ playerId: 'player_a', score: 900 }]);
+
+    antiCheatB.releasePlayer('player_a');
+    await storeB.flush();
+    await delivered();
+    assert.strictEqual(antiCheatA.isQuarantined('player_a'), false);
+    await closeAll([storeA, storeB]);
+  });
+
+  test('a node opened later loads what the others saved', async () => {
+    const redis = new FakeRedis();
+    const [storeA] = await openNodes(RedisPlayerStore, 1, redis);
+    storeA.touchProfile('player_a', { token: 'token-a' });
+    storeA.saveScores('player_a', { totalScore: 300 });
+    storeA.appendAnswer('player_a', { question: '2 + 2', correct: true });
+    storeA.appendAnswer('player_a', { question: '3 + 3', correct: false });
+    storeA.saveGameRecord({ gameId: 'game_2', endedAt: 2000, players: { player_a: {} } });
+    storeA.saveGameRecord({ gameId: 'game_1', endedAt: 1000, players: { player_a: {} } });
+    await storeA.flush();
+
+    const storeC = new RedisPlayerStore(redis.duplicate());
+    const changes = [];
+    storeC.onRemoteChange(change => changes.push(change));
+    await storeC.open();
+
+    assert.strictEqual(storeC.findProfileByToken('token-a').playerId, 'player_a');
+    assert.deepStrictEqual(storeC.getAnswers('player_a').map(answer => answer.question), ['2 + 2', '3 + 3']);
+    assert.deepStrictEqual(storeC.getPlayerGames('player_a').map(record => record.gameId), ['game_1', 'game_2']);
+    assert.ok(changes.some(change => change.collection === 'scores' && change.value.totalScore === 300));
+    await closeAll([storeA, storeC]);
+  });
+
+  test('scoring stats and question history follow other nodes\' answers', async () => {
+    const redis = new FakeRedis();
+    const [storeA, storeB] = await openNodes(RedisPlayerStore, 2, redis);
+    const scoringB = new ScoringSystem(storeB);
+    const generatorB = new MLQuestionGenerator({ store: storeB, autoTrain: false });
+    const record = { playerId: 'player_a', difficulty: 0.4, success: 1, timestamp: 1 };
+
+    storeA.saveScores('player_a', { totalScore: 150 });
+    storeA.savePerformance('player_a', { accuracy: 0.8 });
+    storeA.saveDifficultyHistory([record]);
+    await storeA.flush();
+    await delivered();
+
+    assert.strictEqual(scoringB.playerScores.get('player_a').totalScore, 150);
+    assert.strictEqual(generatorB.getPlayerStats('player_a').accuracy, 0.8);
+    assert.deepStrictEqual(generatorB.questionDifficultyHistory, [record]);
+
+    // Node B saving its history, now with A's record in it, only adds its own
+    generatorB.questionDifficultyHistory.push({ ...record, playerId: 'player_b' });
+    storeB.saveDifficultyHistory(generatorB.questionDifficultyHistory);
+    await storeB.flush();
+    const stored = await redis.lrange('mathrace:players:difficultyHistory', 0, -1);
+    assert.deepStrictEqual(stored.map(entry => JSON.parse(entry).playerId), ['player_a', 'player_b']);
+    await closeAll([storeA, storeB]);
+  });
+
+  test('game records dropped from the copy are dropped from Redis', async () => {
+    const redis = new FakeRedis();
+    const [store] = await openNodes(RedisPlayerStore, 1, redis);
+    for (let i = 0; i <= 200; i++) {
+      store.saveGameRecord({ gameId: `game_${i}`, endedAt: i, players: {} });
+    }
+    await store.flush();
+
+    const stored = Object.keys(await redis.hgetall('mathrace:players:games'));
+    assert.strictEqual(stored.length, 200);
+    assert.strictEqual(stored.includes('game_0'), false);
+    await store.close();
+  });
+});
+
+describe('redis replay store', () => {
+  test('a replay saved on one node is listed and loaded on another', async () => {
+    const [storeA, storeB] = await openNodes(RedisReplayStore, 2);
+    const replay = { gameId: 'game_1', name: 'Room', endedAt: 1000, players: [{ playerId: 'player_a' }], events: [{ type: 'gameStart' }] };
+
+    storeA.save(replay);
+    await storeA.flush();
+    await delivered();
+
+    assert.deepStrictEqual(storeB.list({ playerId: 'player_a' }).map(entry => entry.gameId), ['game_1']);
+    assert.deepStrictEqual(await storeB.load('game_1'), replay);
+    assert.strictEqual(await storeB.load('game_2'), null);
+    await closeAll([storeA, storeB]);
+  });
+});
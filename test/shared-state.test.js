@@ -0,0 +1,203 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { MemorySharedState, RedisSharedState, createSharedState } = require('../shared-state');
+
+const TTL = 50;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// In-memory stand-in for an ioredis client, with just the commands
+// RedisSharedState uses. Keys expire like Redis keys set with PX.
+class FakeRedis {
+  constructor() {
+    this.data = new Map(); // key -> { value, expiresAt }
+    this.closed = false;
+  }
+
+  read(key, create) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+    } else if (entry) {
+      return entry.value;
+    }
+    if (!create) return null;
+    const value = create();
+    this.data.set(key, { value, expiresAt: null });
+    return value;
+  }
+
+  async set(key, value, mode, ttl) {
+    this.data.set(key, { value: String(value), expiresAt: mode === 'PX' ? Date.now() + Number(ttl) : null });
+    return 'OK';
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async mget(...keys) {
+    return keys.map(key => this.read(key));
+  }
+
+  async del(...keys) {
+    return keys.filter(key => this.data.delete(key)).length;
+  }
+
+  async sadd(key, ...members) {
+    const set = this.read(key, () => new Set());
+    const added = members.filter(member => !set.has(member));
+    added.forEach(member => set.add(member));
+    return added.length;
+  }
+
+  async srem(key, ...members) {
+    const set = this.read(key);
+    return set ? members.filter(member => set.delete(member)).length : 0;
+  }
+
+  async smembers(key) {
+    return Array.from(this.read(key) || []);
+  }
+
+  async zadd(key, score, member) {
+    this.read(key, () => new Map()).set(member, Number(score));
+    return 1;
+  }
+
+  async zrem(key, member) {
+    const zset = this.read(key);
+    return zset && zset.delete(member) ? 1 : 0;
+  }
+
+  async zrevrange(key, start, stop, withScores) {
+    const ranked = Array.from((this.read(key) || new Map()).entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(start, stop + 1);
+    return withScores === 'WITHSCORES' ?
+      ranked.flatMap(([member, score]) => [member, String(score)]) :
+      ranked.map(([member]) => member);
+  }
+
+  async hset(key, field, value) {
+    this.read(key, () => new Map()).set(field, String(value));
+    return 1;
+  }
+
+  async hmget(key, ...fields) {
+    const hash = this.read(key) || new Map();
+    return fields.map(field => (hash.has(field) ? hash.get(field) : null));
+  }
+
+  async hdel(key, field) {
+    const hash = this.read(key);
+    return hash && hash.delete(field) ? 1 : 0;
+  }
+
+  async quit() {
+    this.closed = true;
+    return 'OK';
+  }
+}
+
+const backends = {
+  memory: () => new MemorySharedState({ ttl: TTL }),
+  redis: () => new RedisSharedState(new FakeRedis(), { ttl: TTL })
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  describe(`${name} shared state`, () => {
+    test('saves, lists and deletes rooms', async () => {
+      const state = create();
+      await state.saveRoom('ABC123', { roomId: 'ABC123', nodeId: 'node-a' });
+      await state.saveRoom('DEF456', { roomId: 'DEF456', nodeId: 'node-b' });
+
+      assert.deepStrictEqual(await state.getRoom('ABC123'), { roomId: 'ABC123', nodeId: 'node-a' });
+      assert.deepStrictEqual((await state.listRooms()).map(room => room.roomId).sort(), ['ABC123', 'DEF456']);
+
+      await state.deleteRoom('ABC123');
+      assert.strictEqual(await state.getRoom('ABC123'), null);
+      assert.deepStrictEqual((await state.listRooms()).map(room => room.roomId), ['DEF456']);
+    });
+
+    test('drops rooms and sessions that are not saved again within the ttl', async () => {
+      const state = create();
+      await state.saveRoom('ABC123', { roomId: 'ABC123' });
+      await state.saveSession('player_a', { playerId: 'player_a', nodeId: 'node-a' });
+
+      await sleep(TTL * 2);
+      await state.saveSession('player_b', { playerId: 'player_b', nodeId: 'node-a' });
+
+      assert.strictEqual(await state.getRoom('ABC123'), null);
+      assert.deepStrictEqual(await state.listRooms(), []);
+      assert.strictEqual(await state.getSession('player_a'), null);
+      assert.deepStrictEqual((await state.listSessions()).map(session => session.playerId), ['player_b']);
+    });
+
+    test('finds the node holding a player\'s session', async () => {
+      const state = create();
+      const session = { playerId: 'player_a', nodeId: 'node-a', hostNode: null, currentRoom: 'ABC123', disconnectedAt: 123 };
+      await state.saveSession('player_a', session);
+
+      assert.deepStrictEqual(await state.getSession('player_a'), session);
+      assert.strictEqual(await state.getSession('player_b'), null);
+
+      await state.deleteSession('player_a');
+      assert.strictEqual(await state.getSession('player_a'), null);
+    });
+
+    test('keeps reconnect tokens only while they are saved again within the ttl', async () => {
+      const state = create();
+      await state.saveToken('token-a', 'player_a');
+      await state.saveToken('token-b', 'player_b');
+      assert.strictEqual(await state.findPlayerByToken('token-a'), 'player_a');
+      assert.strictEqual(await state.findPlayerByToken('token-c'), null);
+
+      await sleep(TTL * 0.6);
+      await state.saveToken('token-b', 'player_b');
+      await sleep(TTL * 0.6);
+
+      assert.strictEqual(await state.findPlayerByToken('token-a'), null);
+      assert.strictEqual(await state.findPlayerByToken('token-b'), 'player_b');
+    });
+
+    test('ranks leaderboards by score with entries and paging', async () => {
+      const state = create();
+      await state.updateLeaderboard('rating', 'player_a', 1500, { name: 'A' });
+      await state.updateLeaderboard('rating', 'player_b', 1700, { name: 'B' });
+      await state.updateLeaderboard('rating', 'player_c', 1600, { name: 'C' });
+      await state.updateLeaderboard('rating', 'player_a', 1800, { name: 'A2' });
+
+      assert.deepStrictEqual(await state.getLeaderboard('rating', 2), [
+        { name: 'A2', playerId: 'player_a', score: 1800 },
+        { name: 'B', playerId: 'player_b', score: 1700 }
+      ]);
+      assert.deepStrictEqual((await state.getLeaderboard('rating', 10, 1)).map(entry => entry.playerId), ['player_b', 'player_c']);
+
+      await state.removeFromLeaderboard('rating', 'player_b');
+      assert.deepStrictEqual((await state.getLeaderboard('rating')).map(entry => entry.playerId), ['player_a', 'player_c']);
+      assert.deepStrictEqual(await state.getLeaderboard('other'), []);
+    });
+  });
+}
+
+test('memory shared state drops expired tokens nobody looks up', async () => {
+  const state = new MemorySharedState({ ttl: TTL });
+  for (let i = 0; i < 10; i++) {
+    await state.saveToken(`token-${i}`, `player_${i}`);
+  }
+  await sleep(TTL * 2);
+  await state.saveToken('token-new', 'player_new');
+
+  assert.deepStrictEqual(Array.from(state.entries.token.keys()), ['token-new']);
+});
+
+test('redis shared state keeps its keys under the prefix and closes the client', async () => {
+  const client = new FakeRedis();
+  const state = createSharedState({ type: 'redis', client, prefix: 'test:' });
+  await state.saveRoom('ABC123', { roomId: 'ABC123' });
+  await state.saveToken('token-a', 'player_a');
+
+  assert.ok(Array.from(client.data.keys()).every(key => key.startsWith('test:')));
+  await state.close();
+  assert.strictEqual(client.closed, true);
+});
@@ -0,0 +1,463 @@
+const crypto = require('crypto');
+
+const FORMATS = ['single-elimination', 'round-robin'];
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 32;
+const DEFAULT_MAX_PLAYERS = 8;
+const MAX_FINISHED_TOURNAMENTS = 50; // Finished tournaments kept for viewing
+const POINTS = { win: 3, draw: 1, loss: 0 }; // Round-robin standings
+
+// Tournaments for registered players. Single elimination seeds players by
+// rating into a bracket (top seeds get the byes); round robin plays everyone
+// once, one round at a time. Each pairing is played as a normal game - the
+// server starts a room when a match is ready and reports the results back.
+class TournamentManager {
+  constructor(ratingSystem, options = {}) {
+    this.ratingSystem = ratingSystem;
+    this.tournaments = new Map();
+
+    this.onMatchReady = options.onMatchReady || (() => {});
+    this.onUpdate = options.onUpdate || (() => {});
+  }
+
+  static getFormats() {
+    return FORMATS.slice();
+  }
+
+  createTournament(hostId, options = {}) {
+    const format = FORMATS.includes(options.format) ? options.format : FORMATS[0];
+    const maxPlayers = Math.max(MIN_PLAYERS, Math.min(MAX_PLAYERS, parseInt(options.maxPlayers) || DEFAULT_MAX_PLAYERS));
+    const tournamentId = 'tour_' + crypto.randomBytes(4).toString('hex');
+
+    const tournament = {
+      tournamentId,
+      name: options.name ? String(options.name).trim().substring(0, 40) : `Tournament ${tournamentId.slice(5)}`,
+      format,
+      hostId,
+      maxPlayers,
+      questionCount: options.questionCount,
+      timeLimit: options.timeLimit,
+      status: 'registering', // registering, running, finished, cancelled
+      players: [],
+      seeds: {}, // playerId -> seed (1 = top rated)
+      withdrawn: [],
+      matches: [],
+      currentRound: 0,
+      totalRounds: 0,
+      winner: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.tournaments.set(tournamentId, tournament);
+    this.pruneFinished();
+    return tournament;
+  }
+
+  getTournament(tournamentId) {
+    return this.tournaments.get(tournamentId) || null;
+  }
+
+  register(tournamentId, playerId) {
+    const tournament = this.requireTournament(tournamentId);
+    if (tournament.status !== 'registering') {
+      throw new Error('Registration is closed');
+    }
+    if (tournament.players.includes(playerId)) return tournament;
+    if (tournament.players.length >= tournament.maxPlayers) {
+      throw new Error('Tournament is full');
+    }
+
+    tournament.players.push(playerId);
+    this.onUpdate(tournament);
+    return tournament;
+  }
+
+  // Before the start this just unregisters; once running it forfeits every
+  // match the player still has to play
+  withdraw(tournamentId, playerId) {
+    const tournament = this.requireTournament(tournamentId);
+    if (!tournament.players.includes(playerId)) {
+      throw new Error('Not registered for this tournament');
+    }
+
+    if (tournament.status === 'registering') {
+      tournament.players = tournament.players.filter(id => id !== playerId);
+      if (tournament.hostId === playerId) {
+        tournament.hostId = tournament.players[0] || null;
+      }
+      if (tournament.players.length === 0) {
+        tournament.status = 'cancelled';
+        tournament.finishedAt = Date.now();
+      }
+    } else if (tournament.status === 'running' && !tournament.withdrawn.includes(playerId)) {
+      tournament.withdrawn.push(playerId);
+      // Later matches are settled by advance() once their opponents are known
+      tournament.matches
+        .filter(match => match.status === 'ready' && match.players.includes(playerId))
+        .forEach(match => this.finishMatch(tournament, match, this.opponentOf(match, playerId), { forfeitedBy: [playerId] }));
+      this.advance(tournament);
+    }
+
+    this.onUpdate(tournament);
+    return tournament;
+  }
+
+  start(tournamentId, playerId) {
+    const tournament = this.requireTournament(tournamentId);
+    if (tournament.hostId !== playerId) {
+      throw new Error('Only the host can start the tournament');
+    }
+    if (tournament.status !== 'registering') {
+      throw new Error('Tournament has already started');
+    }
+    if (tournament.players.length < MIN_PLAYERS) {
+      throw new Error(`At least ${MIN_PLAYERS} players are needed`);
+    }
+
+    // Seed by rating, best first
+    const seeded = tournament.players
+      .map(id => ({ playerId: id, rating: this.ratingSystem.getRating(id).rating }))
+      .sort((a, b) => b.rating - a.rating)
+      .map(entry => entry.playerId);
+    seeded.forEach((id, index) => { tournament.seeds[id] = index + 1; });
+
+    tournament.matches = tournament.format === 'round-robin' ?
+      this.buildRoundRobin(seeded) : this.buildElimination(seeded);
+    tournament.totalRounds = Math.max(...tournament.matches.map(match => match.round));
+    tournament.status = 'running';
+    tournament.startedAt = Date.now();
+
+    this.advance(tournament);
+    this.onUpdate(tournament);
+    return tournament;
+  }
+
+  // Full bracket up front. Slots are filled as earlier matches finish; a
+  // slot that nobody can fill (a bye or a double forfeit) is null.
+  buildElimination(seeded) {
+    const size = Math.pow(2, Math.ceil(Math.log2(seeded.length)));
+    const rounds = Math.log2(size);
+    const matches = [];
+
+    const order = TournamentManager.bracketOrder(size);
+    for (let index = 0; index < size / 2; index++) {
+      const players = [order[index * 2], order[index * 2 + 1]].map(seed => seeded[seed - 1] || null);
+      matches.push(this.createMatch(1, index, players));
+    }
+
+    for (let round = 2; round <= rounds; round++) {
+      const count = size / Math.pow(2, round);
+      for (let index = 0; index < count; index++) {
+        matches.push(this.createMatch(round, index, [undefined, undefined]));
+      }
+    }
+
+    return matches;
+  }
+
+  // Seed positions so the top seeds can only meet late: 1v8, 4v5, 2v7, 3v6
+  static bracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const mirror = order.length * 2 + 1;
+      order = order.reduce((next, seed) => next.concat(seed, mirror - seed), []);
+    }
+    return order;
+  }
+
+  // Circle method: one player stays put while the rest rotate each round
+  buildRoundRobin(seeded) {
+    const rotation = seeded.length % 2 === 0 ? seeded.slice() : seeded.concat(null);
+    const rounds = rotation.length - 1;
+    const half = rotation.length / 2;
+    const matches = [];
+
+    for (let round = 1; round <= rounds; round++) {
+      for (let index = 0; index < half; index++) {
+        const players = [rotation[index], rotation[rotation.length - 1 - index]];
+        if (players[0] !== null && players[1] !== null) {
+          matches.push(this.createMatch(round, matches.filter(match => match.round === round).length, players));
+        }
+      }
+      rotation.splice(1, 0, rotation.pop());
+    }
+
+    return matches;
+  }
+
+  createMatch(round, index, players) {
+    return {
+      matchId: `r${round}m${index + 1}`,
+      round,
+      index,
+      players,
+      status: 'pending', // pending, ready, finished
+      roomId: null,
+      winner: null,
+      scores: {},
+      forfeitedBy: [],
+      bye: false,
+      readyAt: null,
+      finishedAt: null
+    };
+  }
+
+  getMatch(tournament, matchId) {
+    return tournament.matches.find(match => match.matchId === matchId) || null;
+  }
+
+  // The match a player should be playing right now
+  getActiveMatch(tournamentId, playerId) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) return null;
+    return tournament.matches.find(match => match.status === 'ready' && match.players.includes(playerId)) || null;
+  }
+
+  attachRoom(tournamentId, matchId, roomId) {
+    const match = this.getMatch(this.requireTournament(tournamentId), matchId);
+    if (match) match.roomId = roomId;
+  }
+
+  // Results from a finished game (GameRoom final results). Anyone who isn't
+  // in the results left the game and forfeits.
+  recordResult(tournamentId, matchId, results) {
+    const tournament = this.getTournament(tournamentId);
+    const match = tournament && this.getMatch(tournament, matchId);
+    if (!match || match.status !== 'ready') return null;
+
+    const entries = results.filter(result => match.players.includes(result.playerId));
+    entries.forEach(result => { match.scores[result.playerId] = result.finalScore; });
+    const forfeitedBy = match.players.filter(id => !entries.some(result => result.playerId === id));
+
+    let winner = null;
+    if (entries.length > 0) {
+      const ranked = entries.slice().sort((a, b) =>
+        (b.finalScore - a.finalScore) ||
+        (b.accuracy - a.accuracy) ||
+        (tournament.seeds[a.playerId] - tournament.seeds[b.playerId]));
+      const drawn = ranked.length > 1 && ranked[0].finalScore === ranked[1].finalScore;
+      // Round robin can end in a draw; a bracket needs a winner
+      winner = drawn && tournament.format === 'round-robin' ? null : ranked[0].playerId;
+    }
+
+    this.finishMatch(tournament, match, winner, { forfeitedBy });
+    this.advance(tournament);
+    this.onUpdate(tournament);
+    return match;
+  }
+
+  // Players who never showed up lose the match; if nobody showed up,
+  // nobody wins it
+  recordForfeit(tournamentId, matchId, absentPlayerIds) {
+    const tournament = this.getTournament(tournamentId);
+    const match = tournament && this.getMatch(tournament, matchId);
+    if (!match || match.status !== 'ready') return null;
+
+    const present = match.players.filter(id => !absentPlayerIds.includes(id));
+    this.finishMatch(tournament, match, present.length === 1 ? present[0] : null, {
+      forfeitedBy: match.players.filter(id => absentPlayerIds.includes(id))
+    });
+    this.advance(tournament);
+    this.onUpdate(tournament);
+    return match;
+  }
+
+  finishMatch(tournament, match, winner, details = {}) {
+    match.status = 'finished';
+    match.winner = winner || null;
+    match.forfeitedBy = details.forfeitedBy || [];
+    match.bye = !!details.bye;
+    match.finishedAt = Date.now();
+
+    if (tournament.format === 'single-elimination') {
+      const next = tournament.matches.find(other =>
+        other.round === match.round + 1 && other.index === Math.floor(match.index / 2));
+      if (next) {
+        next.players[match.index % 2] = match.winner;
+      }
+    }
+  }
+
+  opponentOf(match, playerId) {
+    return match.players.find(id => id && id !== playerId) || null;
+  }
+
+  // Settle byes, open matches whose players are known and finish the
+  // tournament once every match is played
+  advance(tournament) {
+    if (tournament.status !== 'running') return;
+
+    let settled = true;
+    while (settled) {
+      settled = false;
+      for (const match of tournament.matches) {
+        if (match.status !== 'pending' || match.players.includes(undefined)) continue;
+        if (tournament.format === 'round-robin' && !this.isRoundComplete(tournament, match.round - 1)) continue;
+
+        const present = match.players.filter(id => id && !tournament.withdrawn.includes(id));
+        if (present.length < 2) {
+          // Bye, or the opponent has withdrawn
+          const forfeitedBy = match.players.filter(id => id && tournament.withdrawn.includes(id));
+          this.finishMatch(tournament, match, present[0] || null, { bye: forfeitedBy.length === 0, forfeitedBy });
+          settled = true;
+          continue;
+        }
+
+        match.status = 'ready';
+        match.readyAt = Date.now();
+        tournament.currentRound = Math.max(tournament.currentRound, match.round);
+        this.onMatchReady(tournament, match);
+      }
+    }
+
+    if (tournament.matches.every(match => match.status === 'finished')) {
+      tournament.status = 'finished';
+      tournament.finishedAt = Date.now();
+      tournament.winner = tournament.format === 'round-robin' ?
+        (this.getStandings(tournament)[0] || {}).playerId || null :
+        tournament.matches[tournament.matches.length - 1].winner;
+    }
+  }
+
+  isRoundComplete(tournament, round) {
+    return tournament.matches
+      .filter(match => match.round === round)
+      .every(match => match.status === 'finished');
+  }
+
+  // Round robin: points, then total score. Elimination: furthest round reached.
+  getStandings(tournament) {
+    const standings = new Map(tournament.players.map(id => [id, {
+      playerId: id,
+      seed: tournament.seeds[id] || null,
+      played: 0,
+      wins: 0,
+      draws: 0,
+      losses: 0,
+      points: 0,
+      totalScore: 0,
+      roundReached: 0,
+      withdrawn: tournament.withdrawn.includes(id)
+    }]));
+
+    for (const match of tournament.matches) {
+      if (match.status === 'finished' && !match.bye) {
+        for (const id of match.players) {
+          const entry = standings.get(id);
+          if (!entry) continue;
+          entry.played++;
+          entry.totalScore += match.scores[id] || 0;
+          if (match.winner === id) {
+            entry.wins++;
+            entry.points += POINTS.win;
+          } else if (match.winner === null && !match.forfeitedBy.includes(id)) {
+            entry.draws++;
+            entry.points += POINTS.draw;
+          } else {
+            entry.losses++;
+          }
+        }
+      }
+      for (const id of match.players) {
+        const entry = standings.get(id);
+        if (entry) entry.roundReached = Math.max(entry.roundReached, match.round);
+      }
+    }
+
+    const compare = tournament.format === 'round-robin' ?
+      (a, b) => (b.points - a.points) || (b.totalScore - a.totalScore) || (a.seed - b.seed) :
+      (a, b) => (b.roundReached - a.roundReached) || (b.wins - a.wins) || (a.seed - b.seed);
+
+    return Array.from(standings.values())
+      .sort((a, b) => {
+        if (tournament.winner) {
+          if (a.playerId === tournament.winner) return -1;
+          if (b.playerId === tournament.winner) return 1;
+        }
+        return compare(a, b);
+      })
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+  }
+
+  // Bracket state sent to clients
+  getSummary(tournament) {
+    return {
+      tournamentId: tournament.tournamentId,
+      name: tournament.name,
+      format: tournament.format,
+      hostId: tournament.hostId,
+      status: tournament.status,
+      maxPlayers: tournament.maxPlayers,
+      players: tournament.players.map(id => ({ playerId: id, seed: tournament.seeds[id] || null })),
+      currentRound: tournament.currentRound,
+      totalRounds: tournament.totalRounds,
+      matches: tournament.matches.map(match => ({
+        matchId: match.matchId,
+        round: match.round,
+        players: match.players.map(id => id === undefined ? null : id),
+        status: match.status,
+        roomId: match.roomId,
+        winner: match.winner,
+        scores: match.scores,
+        forfeitedBy: match.forfeitedBy,
+        bye: match.bye
+      })),
+      standings: tournament.status === 'registering' ? [] : this.getStandings(tournament),
+      winner: tournament.winner,
+      createdAt: tournament.createdAt,
+      startedAt: tournament.startedAt,
+      finishedAt: tournament.finishedAt
+    };
+  }
+
+  // Lobby listing
+  listTournaments() {
+    return Array.from(this.tournaments.values())
+      .filter(tournament => tournament.status !== 'cancelled')
+      .map(tournament => ({
+        tournamentId: tournament.tournamentId,
+        name: tournament.name,
+        format: tournament.format,
+        status: tournament.status,
+        playerCount: tournament.players.length,
+        maxPlayers: tournament.maxPlayers,
+        currentRound: tournament.currentRound,
+        totalRounds: tournament.totalRounds,
+        winner: tournament.winner,
+        createdAt: tournament.createdAt
+      }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  requireTournament(tournamentId) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+    return tournament;
+  }
+
+  pruneFinished() {
+    const finished = Array.from(this.tournaments.values())
+      .filter(tournament => tournament.status === 'finished' || tournament.status === 'cancelled')
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+    while (finished.length > MAX_FINISHED_TOURNAMENTS) {
+      this.tournaments.delete(finished.shift().tournamentId);
+    }
+  }
+
+  getStats() {
+    const tournaments = Array.from(this.tournaments.values());
+    return {
+      registering: tournaments.filter(tournament => tournament.status === 'registering').length,
+      running: tournaments.filter(tournament => tournament.status === 'running').length,
+      finished: tournaments.filter(tournament => tournament.status === 'finished').length
+    };
+  }
+}
+
+TournamentManager.FORMATS = FORMATS;
+
+module.exports = TournamentManager;
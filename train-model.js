@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Offline training and evaluation for the difficulty model
+ *
+ * Usage:
+ *   node train-model.js train [--input data/players.json] [--model-dir data/models]
+ *   node train-model.js evaluate [--input data/players.json] [--model-dir data/models] [--version N]
+ *   node train-model.js list [--model-dir data/models]
+ *   node train-model.js activate <version> [--model-dir data/models]
+ *
+ * --input accepts a player store file or a plain JSON array of answer records.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RandomForestClassifier } = require('ml-random-forest');
+const MLQuestionGenerator = require('./ml-question-generator');
+const ModelRegistry = require('./model-registry');
+const { MemoryPlayerStore } = require('./player-store');
+
+const args = process.argv.slice(2);
+const command = args[0];
+
+const getOption = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const inputPath = getOption('input', path.join(__dirname, 'data', 'players.json'));
+const modelDir = getOption('model-dir', process.env.MODEL_DIR || path.join(__dirname, 'data', 'models'));
+const registry = new ModelRegistry(modelDir);
+
+const loadHistory = () => {
+  if (!fs.existsSync(inputPath)) {
+    console.error(`No answer history found at ${inputPath}`);
+    process.exit(1);
+  }
+  const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  return Array.isArray(data) ? data : (data.difficultyHistory || []);
+};
+
+const formatMetrics = metrics => metrics ?
+  `accuracy ${(metrics.accuracy * 100).toFixed(1)}%, log-loss ${metrics.logLoss.toFixed(3)} (${metrics.samples} samples)` :
+  'n/a';
+
+// A generator backed by an in-memory copy of the exported history
+const createGenerator = () => {
+  const store = new MemoryPlayerStore();
+  store.saveDifficultyHistory(loadHistory());
+  return new MLQuestionGenerator({ store, modelRegistry: registry, autoTrain: false });
+};
+
+switch (command) {
+  case 'train': {
+    // Load the active model so the new one is compared against it
+    const generator = createGenerator();
+    generator.loadModelFromRegistry();
+    const report = generator.retrainModel();
+    if (report.accepted) {
+      console.log(`✅ Saved model v${report.version}: ${formatMetrics(report.metrics)}`);
+      if (report.previousMetrics) {
+        console.log(`   Previous model: ${formatMetrics(report.previousMetrics)}`);
+      }
+    } else {
+      console.log(`❌ Model not updated (${report.reason})`);
+      process.exitCode = 1;
+    }
+    break;
+  }
+
+  case 'evaluate': {
+    const version = Number(getOption('version', registry.manifest.activeVersion));
+    const snapshot = version ? registry.load(version) : null;
+    if (!snapshot) {
+      console.error('No saved model to evaluate');
+      process.exit(1);
+    }
+
+    // Score the snapshot against the whole exported history
+    const generator = createGenerator();
+    const { features, labels } = generator.getTrainingSet();
+    if (features.length === 0) {
+      console.error('No usable answer records in the input');
+      process.exit(1);
+    }
+    const forest = RandomForestClassifier.load(snapshot.model);
+    console.log(`Model v${version}: ${formatMetrics(generator.evaluateModel(forest, features, labels))}`);
+    console.log(`   At training time: ${formatMetrics(snapshot.metadata.metrics)}`);
+    break;
+  }
+
+  case 'list':
+    registry.list().forEach(entry => {
+      console.log(`${entry.active ? '*' : ' '} v${entry.version}  ${entry.createdAt}  ${formatMetrics(entry.metrics)}`);
+    });
+    break;
+
+  case 'activate':
+    registry.setActive(Number(args[1]));
+    console.log(`Model v${args[1]} is now active`);
+    break;
+
+  default:
+    console.log('Usage: node train-model.js <train|evaluate|list|activate> [options]');
+    process.exitCode = 1;
+}
@@ -0,0 +1,229 @@
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+const DEFAULT_TASK_TIMEOUT = 60000;
+const DEFAULT_MAX_QUEUE = 100;
+const MAX_RESTART_DELAY = 30000;
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Pool of worker threads running a task script. Tasks are named and their
+// payloads and results cross the thread boundary by structured clone, so only
+// plain data (no functions or class instances) can be passed. A task that
+// runs past its timeout has its worker terminated, and a crashed worker is
+// replaced; either way only the task that was running fails.
+class WorkerPool {
+  constructor(script, options = {}) {
+    this.script = script;
+    this.size = options.size || Math.max(1, Math.min(4, os.cpus().length - 1));
+    this.maxQueue = options.maxQueue === undefined ? DEFAULT_MAX_QUEUE : options.maxQueue;
+    this.taskTimeout = options.taskTimeout || DEFAULT_TASK_TIMEOUT;
+
+    this.workers = [];
+    this.queues = { high: [], normal: [], low: [] };
+    this.nextTaskId = 1;
+    this.restartTimer = null;
+    this.consecutiveCrashes = 0;
+    this.closed = false;
+    this.stats = { completed: 0, failed: 0, timedOut: 0, crashed: 0, rejected: 0, restarts: 0 };
+  }
+
+  // Resolves with the task's result. Rejects straight away when the queue is
+  // full, so callers can shed load instead of piling up work.
+  run(type, payload, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Worker pool is closed'));
+    }
+
+    const priority = PRIORITIES.includes(options.priority) ? options.priority : 'normal';
+    if (!this.hasCapacity() && this.getQueuedCount() >= this.maxQueue) {
+      this.stats.rejected++;
+      const error = new Error(`Worker pool queue is full (${this.maxQueue} tasks)`);
+      error.code = 'EQUEUEFULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queues[priority].push({
+        taskId: this.nextTaskId++,
+        type,
+        payload,
+        timeout: options.timeout || this.taskTimeout,
+        resolve,
+        reject,
+        queuedAt: Date.now()
+      });
+      this.dispatch();
+    });
+  }
+
+  getQueuedCount() {
+    return PRIORITIES.reduce((total, priority) => total + this.queues[priority].length, 0);
+  }
+
+  // Whether a task could start right now rather than wait in the queue
+  hasCapacity() {
+    return !!this.getIdleWorker() || (this.workers.length < this.size && !this.restartTimer);
+  }
+
+  getIdleWorker() {
+    return this.workers.find(entry => entry.ready && !entry.task);
+  }
+
+  nextQueuedTask() {
+    for (const priority of PRIORITIES) {
+      if (this.queues[priority].length > 0) {
+        return this.queues[priority].shift();
+      }
+    }
+    return null;
+  }
+
+  // Hand queued tasks to idle workers, starting workers up to the pool size
+  dispatch() {
+    while (this.getQueuedCount() > 0) {
+      let entry = this.getIdleWorker();
+      if (!entry) {
+        if (this.workers.length < this.size && !this.restartTimer) {
+          entry = this.spawnWorker();
+        } else {
+          return;
+        }
+      }
+      this.startTask(entry, this.nextQueuedTask());
+    }
+  }
+
+  spawnWorker() {
+    const entry = { worker: new Worker(this.script), task: null, timer: null, ready: true };
+    entry.worker.unref(); // Idle workers don't keep the process alive
+
+    entry.worker.on('message', message => this.handleMessage(entry, message));
+    entry.worker.on('error', error => this.handleCrash(entry, error));
+    entry.worker.on('exit', code => {
+      if (entry.ready) {
+        this.handleCrash(entry, new Error(`Worker exited with code ${code}`));
+      }
+    });
+
+    this.workers.push(entry);
+    return entry;
+  }
+
+  startTask(entry, task) {
+    entry.task = task;
+    entry.worker.ref();
+    entry.timer = setTimeout(() => this.handleTimeout(entry), task.timeout);
+
+    try {
+      entry.worker.postMessage({ taskId: task.taskId, type: task.type, payload: task.payload });
+    } catch (error) {
+      // Payload couldn't be cloned (functions, sockets, ...) - the worker is fine
+      this.finishTask(entry);
+      this.stats.failed++;
+      task.reject(new Error(`Task ${task.type} payload is not serializable: ${error.message}`));
+      this.dispatch();
+    }
+  }
+
+  finishTask(entry) {
+    const task = entry.task;
+    clearTimeout(entry.timer);
+    entry.task = null;
+    entry.timer = null;
+    entry.worker.unref();
+    return task;
+  }
+
+  handleMessage(entry, message) {
+    if (!entry.task || message.taskId !== entry.task.taskId) return;
+
+    const task = this.finishTask(entry);
+    this.consecutiveCrashes = 0;
+    if (message.error) {
+      this.stats.failed++;
+      const error = new Error(message.error.message);
+      error.stack = message.error.stack;
+      task.reject(error);
+    } else {
+      this.stats.completed++;
+      task.resolve(message.result);
+    }
+    this.dispatch();
+  }
+
+  // Work can't be interrupted inside a thread, so the worker is replaced
+  handleTimeout(entry) {
+    const task = this.finishTask(entry);
+    this.stats.timedOut++;
+    this.removeWorker(entry);
+    task.reject(new Error(`Task ${task.type} timed out after ${task.timeout}ms`));
+    this.dispatch();
+  }
+
+  handleCrash(entry, error) {
+    if (!entry.ready) return;
+
+    const task = entry.task ? this.finishTask(entry) : null;
+    this.stats.crashed++;
+    this.removeWorker(entry);
+    console.error(`Worker crashed${task ? ` running ${task.type}` : ''}:`, error.message);
+    if (task) {
+      task.reject(new Error(`Worker crashed running ${task.type}: ${error.message}`));
+    }
+
+    // Back off if workers keep dying, e.g. the task script fails to load
+    this.consecutiveCrashes++;
+    this.scheduleRestart(Math.min(MAX_RESTART_DELAY, 100 * Math.pow(2, this.consecutiveCrashes - 1)));
+  }
+
+  removeWorker(entry) {
+    entry.ready = false;
+    this.workers = this.workers.filter(other => other !== entry);
+    entry.worker.terminate().catch(() => {});
+  }
+
+  scheduleRestart(delay) {
+    if (this.closed || this.restartTimer) return;
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.stats.restarts++;
+      this.dispatch();
+    }, delay);
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: this.workers.filter(entry => entry.task).length,
+      queued: this.getQueuedCount(),
+      maxQueue: this.maxQueue,
+      ...this.stats
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.restartTimer);
+
+    for (const priority of PRIORITIES) {
+      for (const task of this.queues[priority].splice(0)) {
+        task.reject(new Error('Worker pool is closed'));
+      }
+    }
+
+    const workers = this.workers;
+    this.workers = [];
+    await Promise.all(workers.map(entry => {
+      entry.ready = false;
+      const task = entry.task ? this.finishTask(entry) : null;
+      if (task) task.reject(new Error('Worker pool is closed'));
+      return entry.worker.terminate();
+    }));
+  }
+}
+
+WorkerPool.PRIORITIES = PRIORITIES;
+
+module.exports = WorkerPool;
@@ -0,0 +1,31 @@
+const { parentPort } = require('worker_threads');
+const { RandomForestClassifier } = require('ml-random-forest');
+const MLQuestionGenerator = require('./ml-question-generator');
+
+// Entry point for WorkerPool threads. Each task takes and returns plain data.
+const generator = new MLQuestionGenerator({ autoTrain: false });
+
+const tasks = {
+  // Train and evaluate a candidate forest; models travel as JSON text
+  trainForest(payload) {
+    const previousForest = payload.previousModel ?
+      RandomForestClassifier.load(JSON.parse(payload.previousModel)) : null;
+    const { candidate, ...result } = generator.trainCandidate(payload, previousForest);
+    return { ...result, model: JSON.stringify(candidate) };
+  },
+
+  answerAnalytics(records) {
+    return MLQuestionGenerator.analyzeAnswerHistory(records);
+  }
+};
+
+parentPort.on('message', ({ taskId, type, payload }) => {
+  try {
+    if (!tasks[type]) {
+      throw new Error(`Unknown task type: ${type}`);
+    }
+    parentPort.postMessage({ taskId, result: tasks[type](payload) });
+  } catch (error) {
+    parentPort.postMessage({ taskId, error: { message: error.message, stack: error.stack } });
+  }
+});